@@ -4,25 +4,152 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
+const { createDailyClient, dailyDomainHost, DEFAULT_API_URL } = require('./lib/daily-api');
+const { createBotRunnerClient } = require('./lib/bot-runner');
+const { createJsonStore } = require('./lib/json-store');
+const { createSummarizer } = require('./lib/summarizer');
+const { createPlaybookLibrary } = require('./lib/playbooks');
+const { createMockState, createStubDailyClient, MOCK_DOMAIN } = require('./mock/daily-api');
+const { createStubBotRunner } = require('./mock/bot-runner');
+const { createTokenRouter } = require('./routes/token');
+const { createRoomsRouter } = require('./routes/rooms');
+const { createBotRouter } = require('./routes/bot');
+const { createMessagesRouter } = require('./routes/messages');
+const { createMeetingsRouter } = require('./routes/meetings');
+const { createLayoutRouter } = require('./routes/layout');
+const { createModerationRouter } = require('./routes/moderation');
+const { createPlaybooksRouter } = require('./routes/playbooks');
+const { createScorecardsRouter } = require('./routes/scorecards');
+const { createAssetsRouter } = require('./routes/assets');
 const app = express();
 // Define the port
 const PORT = process.env.PORT || 3000;
 
 // Load config (sanitize before exposing)
-let config = {};
+let parsed = {};
 try {
   const raw = fs.readFileSync(path.join(__dirname, 'config.json'), 'utf8');
-  const parsed = JSON.parse(raw);
-  config = {
-    roomUrl: parsed.ROOM_URL || '',
-    joinToken: parsed.DAILY_TOKEN || '',
-  };
+  parsed = JSON.parse(raw);
 } catch (err) {
   console.warn('No config.json found or failed to parse; using defaults.');
 }
 
+// Server-only settings; never sent to the browser.
+// Tokens are only minted for rooms on this deployment's Daily domain.
+const dailyDomain = dailyDomainHost(
+  parsed.DAILY_DOMAIN || parsed.ROOM_URL || (parsed.DAILY_API_STUB ? MOCK_DOMAIN : '')
+);
+// DAILY_API_STUB swaps in the in-memory client so everything works offline;
+// its rooms are made on the same domain.
+const dailyEnabled = !!(parsed.DAILY_API_KEY || parsed.DAILY_API_STUB);
+const daily = parsed.DAILY_API_STUB
+  ? createStubDailyClient(createMockState({ domain: `https://${dailyDomain}` }))
+  : createDailyClient({
+    apiKey: parsed.DAILY_API_KEY || '',
+    apiUrl: parsed.DAILY_API_URL || DEFAULT_API_URL,
+  });
+
+// Room data (chat history, ...) lives in JSON files under DATA_DIR
+const DATA_DIR = path.resolve(__dirname, parsed.DATA_DIR || 'data');
+
+// BOT_RUNNER_STUB swaps in a fake runner that never actually joins the room
+const botEnabled = !!(parsed.BOT_RUNNER_URL || parsed.BOT_RUNNER_STUB);
+const botRunner = parsed.BOT_RUNNER_STUB
+  ? createStubBotRunner()
+  : createBotRunnerClient({
+    url: parsed.BOT_RUNNER_URL || '',
+    apiKey: parsed.BOT_RUNNER_API_KEY || '',
+  });
+
+const config = {
+  roomUrl: parsed.ROOM_URL || '',
+  joinToken: parsed.DAILY_TOKEN || '',
+  // Lets the frontend know it can ask POST /token for a fresh token
+  tokenMinting: dailyEnabled,
+  roomProvisioning: dailyEnabled,
+  botRunner: botEnabled,
+  botName: parsed.BOT_NAME || 'Sales Agent',
+  hostPasscodeRequired: !!parsed.HOST_PASSCODE,
+};
+
 // Serve static assets from /public
 app.use(express.static(path.join(__dirname, 'public')));
+app.use(express.json({ limit: '2mb' }));
+
+// Locked rooms, shared by the token and moderation routes
+const roomLocks = createJsonStore(path.join(DATA_DIR, 'locks.json'));
+
+app.use(createTokenRouter({
+  daily,
+  locks: roomLocks,
+  settings: {
+    roomUrl: config.roomUrl,
+    domain: dailyDomain,
+    ttlSeconds: Number(parsed.TOKEN_TTL_SECONDS) || 3600,
+    hostPasscode: parsed.HOST_PASSCODE || '',
+  },
+}));
+
+app.use(createRoomsRouter({
+  daily,
+  settings: {
+    prefix: parsed.ROOM_PREFIX || 'sales-demo',
+    ttlSeconds: Number(parsed.ROOM_TTL_SECONDS) || 2 * 60 * 60,
+    hostPasscode: parsed.HOST_PASSCODE || '',
+  },
+}));
+
+app.use(createBotRouter({
+  runner: botRunner,
+  daily: dailyEnabled ? daily : null,
+  settings: {
+    roomUrl: config.roomUrl,
+    domain: dailyDomain,
+    botName: config.botName,
+    botUserId: 'sales-agent',
+  },
+}));
+
+app.use(createMessagesRouter({
+  store: createJsonStore(path.join(DATA_DIR, 'messages.json')),
+}));
+
+app.use(createLayoutRouter({
+  store: createJsonStore(path.join(DATA_DIR, 'layouts.json')),
+}));
+
+app.use(createAssetsRouter({
+  store: createJsonStore(path.join(DATA_DIR, 'assets.json')),
+  dir: path.join(DATA_DIR, 'assets'),
+  settings: { maxBytes: (Number(parsed.ASSET_MAX_MB) || 20) * 1024 * 1024 },
+}));
+
+app.use(createModerationRouter({
+  daily: dailyEnabled ? daily : null,
+  store: roomLocks,
+  settings: { hostPasscode: parsed.HOST_PASSCODE || '' },
+}));
+
+// Sales playbooks live next to the code; teams add their own files
+app.use(createPlaybooksRouter({
+  library: createPlaybookLibrary(path.resolve(__dirname, parsed.PLAYBOOK_DIR || 'playbooks')),
+  store: createJsonStore(path.join(DATA_DIR, 'playbooks.json')),
+  settings: {
+    defaultId: parsed.DEFAULT_PLAYBOOK || 'default',
+    hostPasscode: parsed.HOST_PASSCODE || '',
+  },
+}));
+
+app.use(createScorecardsRouter({
+  store: createJsonStore(path.join(DATA_DIR, 'scorecards.json')),
+  settings: { hostPasscode: parsed.HOST_PASSCODE || '' },
+}));
+
+app.use(createMeetingsRouter({
+  store: createJsonStore(path.join(DATA_DIR, 'meetings.json')),
+  summarizer: createSummarizer(parsed.SUMMARIZER_MODULE),
+  settings: { hostPasscode: parsed.HOST_PASSCODE || '' },
+}));
 
 // Expose only the non-secret bits needed by the frontend
 app.get('/config', (_req, res) => {
@@ -0,0 +1,64 @@
+// lib/bot-runner.js
+// Client for the bot runner that dispatches the Pipecat sales agent into a
+// Daily room. The runner is expected to expose:
+//   POST /start  { room_url, token, config }  -> { bot_id, status }
+//   POST /stop   { bot_id }                   -> { bot_id, status }
+//   GET  /status/:bot_id                      -> { bot_id, status }
+// where status is one of 'starting', 'running' or 'stopped'.
+// mock/bot-runner.js implements the same contract for offline use.
+
+class BotRunnerError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'BotRunnerError';
+    this.status = status;
+  }
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.url - Base URL of the bot runner.
+ * @param {string} [options.apiKey] - Optional bearer token for the runner.
+ * @param {Function} [options.fetchImpl] - fetch implementation to use.
+ */
+function createBotRunnerClient({ url, apiKey, fetchImpl = fetch } = {}) {
+  const baseUrl = String(url || '').replace(/\/+$/, '');
+
+  async function request(method, pathname, body) {
+    if (!baseUrl) {
+      throw new BotRunnerError('BOT_RUNNER_URL is not configured', 500);
+    }
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    let res;
+    try {
+      res = await fetchImpl(`${baseUrl}${pathname}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined,
+      });
+    } catch (err) {
+      throw new BotRunnerError(`Bot runner unreachable: ${err.message}`, 502);
+    }
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      throw new BotRunnerError(`Bot runner ${method} ${pathname} failed: ${data.error || res.statusText}`, res.status);
+    }
+    return data;
+  }
+
+  return {
+    start({ roomUrl, token, config }) {
+      return request('POST', '/start', { room_url: roomUrl, token, config });
+    },
+    stop(botId) {
+      return request('POST', '/stop', { bot_id: botId });
+    },
+    status(botId) {
+      return request('GET', `/status/${encodeURIComponent(botId)}`);
+    },
+  };
+}
+
+module.exports = { createBotRunnerClient, BotRunnerError };
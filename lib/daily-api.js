@@ -0,0 +1,145 @@
+// lib/daily-api.js
+// Thin client for the Daily REST API (https://docs.daily.co/reference/rest-api).
+// The base URL is configurable so the server can run against mock/daily-api.js
+// when working offline.
+
+const DEFAULT_API_URL = 'https://api.daily.co/v1';
+
+class DailyApiError extends Error {
+  constructor(message, status, body) {
+    super(message);
+    this.name = 'DailyApiError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Extracts the room name from a Daily room URL
+ * (https://your-domain.daily.co/<room-name>).
+ * @param {string} roomUrl - The full room URL.
+ * @returns {string|null} The room name, or null if the URL can't be parsed.
+ */
+function roomNameFromUrl(roomUrl) {
+  try {
+    const name = new URL(roomUrl).pathname.split('/').filter(Boolean).pop();
+    return name || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Host of a Daily domain given as "your-domain", "your-domain.daily.co" or
+ * any URL on it (e.g. a room URL).
+ * @param {string} value - Domain name or URL.
+ * @returns {string} The lower-case host, or '' if it can't be parsed.
+ */
+function dailyDomainHost(value) {
+  const domain = String(value || '').trim().toLowerCase();
+  if (!domain) return '';
+  try {
+    if (domain.includes('://')) return new URL(domain).host;
+    return new URL(`https://${domain.includes('.') ? domain : `${domain}.daily.co`}`).host;
+  } catch (err) {
+    return '';
+  }
+}
+
+/**
+ * Creates a Daily REST client bound to an API key.
+ * @param {Object} options
+ * @param {string} options.apiKey - Daily API key (kept server-side).
+ * @param {string} [options.apiUrl] - Base URL, defaults to the public API.
+ * @param {Function} [options.fetchImpl] - fetch implementation to use.
+ */
+function createDailyClient({ apiKey, apiUrl = DEFAULT_API_URL, fetchImpl = fetch } = {}) {
+  const baseUrl = apiUrl.replace(/\/+$/, '');
+
+  async function request(method, pathname, body) {
+    if (!apiKey) {
+      throw new DailyApiError('DAILY_API_KEY is not configured', 500);
+    }
+    const res = await fetchImpl(`${baseUrl}${pathname}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (err) {
+      data = { raw: text };
+    }
+    if (!res.ok) {
+      const info = (data && (data.info || data.error)) || res.statusText;
+      throw new DailyApiError(`Daily API ${method} ${pathname} failed: ${info}`, res.status, data);
+    }
+    return data;
+  }
+
+  return {
+    /**
+     * Mints a meeting token (POST /meeting-tokens).
+     * @param {Object} properties - Token properties such as `room_name`,
+     * `user_name`, `is_owner` and `exp` (unix seconds).
+     * @returns {Promise<string>} The signed token.
+     */
+    async createMeetingToken(properties) {
+      const data = await request('POST', '/meeting-tokens', { properties });
+      return data.token;
+    },
+
+    /**
+     * Creates a room (POST /rooms).
+     * @param {Object} options - `name` (optional, Daily generates one if
+     * omitted), `privacy` and room `properties` such as `exp`,
+     * `max_participants`, `enable_recording` and `enable_chat`.
+     * @returns {Promise<Object>} The room object, including its `url`.
+     */
+    createRoom({ name, privacy = 'private', properties = {} } = {}) {
+      return request('POST', '/rooms', { name, privacy, properties });
+    },
+
+    /**
+     * Fetches a room by name (GET /rooms/:name).
+     * @returns {Promise<Object>} The room object, including `privacy`.
+     */
+    getRoom(name) {
+      return request('GET', `/rooms/${encodeURIComponent(name)}`);
+    },
+
+    /**
+     * Updates a room's privacy and/or properties (POST /rooms/:name).
+     * @param {string} name - Room name.
+     * @param {Object} options - `privacy` and/or `properties` to change,
+     * e.g. `{ properties: { enable_knocking: true } }`.
+     * @returns {Promise<Object>} The updated room object.
+     */
+    updateRoom(name, { privacy, properties } = {}) {
+      return request('POST', `/rooms/${encodeURIComponent(name)}`, { privacy, properties });
+    },
+
+    /**
+     * Lists rooms on the domain (GET /rooms).
+     * @returns {Promise<Object[]>} Room objects.
+     */
+    async listRooms() {
+      const data = await request('GET', '/rooms?limit=100');
+      return (data && data.data) || [];
+    },
+
+    /**
+     * Deletes a room by name (DELETE /rooms/:name).
+     */
+    deleteRoom(name) {
+      return request('DELETE', `/rooms/${encodeURIComponent(name)}`);
+    },
+  };
+}
+
+module.exports = { createDailyClient, roomNameFromUrl, dailyDomainHost, DailyApiError, DEFAULT_API_URL };
@@ -0,0 +1,26 @@
+// lib/host-auth.js
+// Host-only routes. Hosts prove themselves with the same passcode that gets
+// them an owner token (HOST_PASSCODE), sent in an X-Host-Passcode header.
+
+const HOST_PASSCODE_HEADER = 'X-Host-Passcode';
+
+/**
+ * Middleware that lets only requests carrying the host passcode through.
+ * Without a passcode configured there are no hosts, so nobody gets through.
+ * @param {string} hostPasscode - The configured passcode, or ''.
+ * @param {string} feature - What the route does, for the error when no
+ * passcode is configured (e.g. "Managing rooms").
+ */
+function requireHost(hostPasscode, feature) {
+  return (req, res, next) => {
+    if (!hostPasscode) {
+      return res.status(403).json({ error: `${feature} is disabled; set HOST_PASSCODE on the server` });
+    }
+    if (req.get(HOST_PASSCODE_HEADER) !== hostPasscode) {
+      return res.status(403).json({ error: 'Invalid host passcode' });
+    }
+    next();
+  };
+}
+
+module.exports = { requireHost, HOST_PASSCODE_HEADER };
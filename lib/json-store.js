@@ -0,0 +1,72 @@
+// lib/json-store.js
+// Small file-backed key/value store: one JSON file per collection, loaded
+// once and rewritten atomically (temp file + rename) after each change.
+// Writes are serialized so concurrent requests can't interleave them.
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @param {string} filePath - JSON file holding the collection.
+ */
+function createJsonStore(filePath) {
+  // No prototype, so keys like "__proto__" or "constructor" are plain keys
+  let data = Object.create(null);
+  try {
+    Object.assign(data, JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.warn(`Could not read ${filePath}; starting empty.`, err.message);
+    }
+  }
+
+  let writing = Promise.resolve();
+
+  function persist() {
+    const snapshot = JSON.stringify(data, null, 2);
+    writing = writing
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        const tmp = `${filePath}.tmp`;
+        await fs.promises.writeFile(tmp, snapshot);
+        await fs.promises.rename(tmp, filePath);
+      })
+      .catch((err) => console.error(`Failed to write ${filePath}:`, err.message));
+    return writing;
+  }
+
+  return {
+    get(key) {
+      return data[key];
+    },
+
+    keys() {
+      return Object.keys(data);
+    },
+
+    /**
+     * Replaces a key's value and persists the collection.
+     */
+    async set(key, value) {
+      data[key] = value;
+      await persist();
+      return value;
+    },
+
+    /**
+     * Applies `fn(current)` to a key and stores what it returns.
+     */
+    async update(key, fn) {
+      data[key] = fn(data[key]);
+      await persist();
+      return data[key];
+    },
+
+    async delete(key) {
+      delete data[key];
+      await persist();
+    },
+  };
+}
+
+module.exports = { createJsonStore };
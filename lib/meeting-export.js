@@ -0,0 +1,114 @@
+// lib/meeting-export.js
+// Renders a stored meeting (record + summary) as Markdown for pasting into
+// the CRM.
+
+function formatTime(ms) {
+  return ms ? new Date(ms).toISOString().replace('T', ' ').slice(0, 19) : '-';
+}
+
+function formatDuration(ms) {
+  const total = Math.max(0, Math.round(ms / 1000));
+  const minutes = Math.floor(total / 60);
+  const seconds = total % 60;
+  return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+}
+
+function average(values) {
+  return values.length ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length) : null;
+}
+
+// Table cells can't hold pipes or line breaks
+function cell(text) {
+  return String(text || '').replace(/\|/g, '\\|').replace(/[\r\n]+/g, ' ');
+}
+
+function list(items) {
+  return items && items.length ? items.map((item) => `- ${item}`).join('\n') : '- None captured';
+}
+
+/**
+ * The lead scorecard as it stood when the meeting ended.
+ */
+function qualificationSection(scorecard) {
+  const fields = Object.values((scorecard && scorecard.fields) || {});
+  if (!fields.length) return [list([])];
+  return [
+    `- Framework: ${String(scorecard.framework || '').toUpperCase() || '-'}`,
+    '',
+    '| Field | Value | From |',
+    '| --- | --- | --- |',
+    ...fields.map((f) => {
+      const from = f.source === 'agent' ? 'Sales agent' : f.by || 'Rep';
+      return `| ${cell(f.label)} | ${cell(f.value) || '-'} | ${cell(from)} |`;
+    }),
+  ];
+}
+
+/**
+ * Per-turn response times of the agent, from user stopped speaking to bot
+ * started speaking, with the TTFB each service reported.
+ */
+function latencySection(turns) {
+  const measured = turns.filter((t) => Number.isFinite(t.latencyMs));
+  if (!measured.length) return [list([])];
+  const values = measured.map((t) => t.latencyMs);
+  return [
+    `- Turns: ${measured.length}, average ${average(values)}ms, best ${Math.min(...values)}ms, worst ${Math.max(...values)}ms`,
+    '',
+    '| Time | Latency | TTFB |',
+    '| --- | --- | --- |',
+    ...measured.map((t) => {
+      const ttfb = Object.entries(t.ttfb || {}).map(([processor, ms]) => `${processor} ${ms}ms`).join(', ');
+      return `| ${formatTime(t.at)} | ${t.latencyMs}ms | ${ttfb || '-'} |`;
+    }),
+  ];
+}
+
+/**
+ * @param {Object} meeting - `{ id, record, summary }` as stored.
+ * @returns {string} Markdown document.
+ */
+function toMarkdown({ id, record, summary }) {
+  const sections = [
+    `# Sales meeting: ${record.roomName || id}`,
+    `- Started: ${formatTime(record.startedAt)} UTC`,
+    `- Ended: ${formatTime(record.endedAt)} UTC`,
+    `- Duration: ${formatDuration(record.endedAt - record.startedAt)}`,
+    '',
+    '## Summary',
+    summary.overview || '',
+    '',
+    '### Needs',
+    list(summary.needs),
+    '',
+    '### Objections',
+    list(summary.objections),
+    '',
+    '### Next steps',
+    list(summary.nextSteps),
+    '',
+    '## Qualification',
+    ...qualificationSection(record.scorecard),
+    '',
+    '## Participants',
+    '| Name | Role | Joined | Left |',
+    '| --- | --- | --- | --- |',
+    ...(record.participants || []).map((p) => `| ${cell(p.name)} | ${p.role} | ${formatTime(p.joinedAt)} | ${formatTime(p.leftAt)} |`),
+    '',
+    '## Active speakers',
+    list((record.speakerTimeline || []).map((s) => `${formatTime(s.at)} ${s.name || s.participantId}`)),
+    '',
+    '## Chat',
+    list((record.messages || []).map((m) => `${formatTime(m.ts)} **${m.senderName}:** ${m.text}`)),
+    '',
+    '## Agent latency',
+    ...latencySection(record.latency || []),
+    '',
+    '## Transcript',
+    list((record.transcript || []).map((e) => `${formatTime(e.ts)} **${e.speakerName}:** ${e.text}`)),
+    '',
+  ];
+  return sections.join('\n');
+}
+
+module.exports = { toMarkdown };
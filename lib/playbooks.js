@@ -0,0 +1,155 @@
+// lib/playbooks.js
+// Sales playbooks loaded from PLAYBOOK_DIR: `<id>.json` holds the products,
+// pricing tiers, qualification questions, objection responses and talking
+// points; an optional `<id>.md` next to it adds free-form notes (the demo
+// script). Files are read on each request so edits show up without a
+// restart.
+
+const fs = require('fs');
+const path = require('path');
+
+const PLAYBOOK_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+class PlaybookError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'PlaybookError';
+    this.status = status;
+  }
+}
+
+const arr = (value) => (Array.isArray(value) ? value : []);
+const str = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Fills in defaults so the frontend and the agent prompt can rely on the
+ * shape, whatever a team left out of its file.
+ */
+function normalize(id, raw, notes) {
+  return {
+    id,
+    name: str(raw.name) || id,
+    description: str(raw.description),
+    agentInstructions: str(raw.agentInstructions),
+    products: arr(raw.products).map((p) => ({
+      name: str(p.name),
+      summary: str(p.summary),
+      tiers: arr(p.tiers).map((t) => ({
+        name: str(t.name),
+        price: str(t.price),
+        features: arr(t.features).map(str).filter(Boolean),
+      })),
+    })),
+    qualification: arr(raw.qualification).map((q, i) => ({
+      id: str(q.id) || `q${i + 1}`,
+      question: str(q.question),
+      why: str(q.why),
+    })).filter((q) => q.question),
+    objections: arr(raw.objections).map((o) => ({
+      objection: str(o.objection),
+      response: str(o.response),
+    })).filter((o) => o.objection && o.response),
+    talkingPoints: arr(raw.talkingPoints).map((s) => ({
+      stage: str(s.stage),
+      points: arr(s.points).map(str).filter(Boolean),
+    })).filter((s) => s.stage && s.points.length),
+    notes: notes.trim(),
+  };
+}
+
+/**
+ * The playbook as a system message for the agent's LLM context.
+ */
+function toAgentContext(playbook) {
+  const lines = [`Sales playbook for this meeting: ${playbook.name}.`];
+  if (playbook.description) lines.push(playbook.description);
+  if (playbook.agentInstructions) lines.push('', playbook.agentInstructions);
+  if (playbook.products.length) {
+    lines.push('', 'Products and pricing:');
+    playbook.products.forEach((p) => {
+      lines.push(`- ${p.name}${p.summary ? `: ${p.summary}` : ''}`);
+      p.tiers.forEach((t) => {
+        lines.push(`  - ${t.name} (${t.price || 'contact sales'})${t.features.length ? `: ${t.features.join('; ')}` : ''}`);
+      });
+    });
+  }
+  if (playbook.qualification.length) {
+    lines.push('', 'Qualification questions to work into the conversation:');
+    playbook.qualification.forEach((q) => lines.push(`- ${q.question}`));
+  }
+  if (playbook.objections.length) {
+    lines.push('', 'Objection handling:');
+    playbook.objections.forEach((o) => lines.push(`- "${o.objection}": ${o.response}`));
+  }
+  if (playbook.talkingPoints.length) {
+    lines.push('', 'Talking points by stage:');
+    playbook.talkingPoints.forEach((s) => lines.push(`- ${s.stage}: ${s.points.join('; ')}`));
+  }
+  if (playbook.notes) lines.push('', 'Notes:', playbook.notes);
+  return lines.join('\n');
+}
+
+/**
+ * @param {string} dir - Directory holding the playbook files.
+ */
+function createPlaybookLibrary(dir) {
+  async function readNotes(id) {
+    try {
+      return await fs.promises.readFile(path.join(dir, `${id}.md`), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return '';
+      throw err;
+    }
+  }
+
+  return {
+    /**
+     * Summaries of every playbook in the directory.
+     */
+    async list() {
+      let files;
+      try {
+        files = await fs.promises.readdir(dir);
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+      const ids = files
+        .filter((file) => file.endsWith('.json'))
+        .map((file) => file.slice(0, -'.json'.length))
+        .filter((id) => PLAYBOOK_ID_PATTERN.test(id))
+        .sort();
+      const playbooks = await Promise.all(ids.map((id) => this.get(id).catch((err) => {
+        console.warn(`Skipping playbook ${id}:`, err.message);
+        return null;
+      })));
+      return playbooks
+        .filter(Boolean)
+        .map(({ id, name, description }) => ({ id, name, description }));
+    },
+
+    /**
+     * @param {string} id - Playbook id (its file name without `.json`).
+     * @returns {Promise<Object|null>} The playbook, or null if there's none.
+     */
+    async get(id) {
+      if (!PLAYBOOK_ID_PATTERN.test(String(id))) return null;
+      let raw;
+      try {
+        raw = await fs.promises.readFile(path.join(dir, `${id}.json`), 'utf8');
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+      let parsed;
+      try {
+        parsed = JSON.parse(raw);
+      } catch (err) {
+        throw new PlaybookError(`Playbook ${id} is not valid JSON: ${err.message}`, 500);
+      }
+      return normalize(id, parsed || {}, await readNotes(id));
+    },
+  };
+}
+
+module.exports = { createPlaybookLibrary, toAgentContext, PlaybookError, PLAYBOOK_ID_PATTERN };
@@ -0,0 +1,19 @@
+// lib/room-ids.js
+// Checks the room id in /rooms/:id/... routes, which is a Daily room name.
+
+// Names like __proto__ are refused as well, so an id is safe to use as an
+// object key wherever it ends up
+const ROOM_ID_PATTERN = /^(?!(?:__proto__|constructor|prototype)$)[A-Za-z0-9_-]{1,128}$/;
+
+/**
+ * `router.param('id', checkRoomId)`: answers 400 unless the id looks like a
+ * room name.
+ */
+function checkRoomId(req, res, next, id) {
+  if (!ROOM_ID_PATTERN.test(id)) {
+    return res.status(400).json({ error: 'Invalid room id' });
+  }
+  next();
+}
+
+module.exports = { ROOM_ID_PATTERN, checkRoomId };
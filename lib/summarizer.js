@@ -0,0 +1,82 @@
+// lib/summarizer.js
+// Produces the sales summary (needs, objections, next steps) for a meeting
+// record. The default is a local keyword-based stub; set SUMMARIZER_MODULE
+// to a module exporting `summarize(record) -> Promise<summary>` (e.g. one
+// that calls an LLM) to replace it.
+
+const path = require('path');
+
+const PATTERNS = {
+  needs: /\b(need|needs|looking for|want|wants|require|requirement|problem|challenge|pain|struggl\w*)\b/i,
+  objections: /\b(too expensive|expensive|price|pricing|cost|budget|concern\w*|worried|not sure|competitor|already use|contract|security|risk)\b/i,
+  nextSteps: /\b(follow[- ]up|next step\w*|schedule|send (?:over|you|me)|trial|pilot|proposal|quote|demo|call back|meeting next|loop in)\b/i,
+};
+
+/**
+ * Splits transcript and chat into attributed lines.
+ */
+function linesOf(record) {
+  const fromTranscript = (record.transcript || []).map((e) => ({
+    speaker: e.speakerName || e.role,
+    role: e.role,
+    text: e.text,
+  }));
+  const fromChat = (record.messages || []).map((m) => ({
+    speaker: m.senderName,
+    role: 'chat',
+    text: m.text,
+  }));
+  return [...fromTranscript, ...fromChat].filter((l) => l.text);
+}
+
+/**
+ * Local stub: picks lines that look like needs, objections or next steps.
+ * Needs and objections come from what the prospect said or wrote, next steps
+ * from anyone.
+ */
+async function summarizeLocally(record) {
+  const lines = linesOf(record);
+  const pick = (pattern, filter = () => true) => lines
+    .filter((l) => filter(l) && pattern.test(l.text))
+    .map((l) => `${l.speaker}: ${l.text}`)
+    .slice(0, 10);
+  const fromProspect = (l) => l.role !== 'bot';
+
+  const minutes = Math.max(1, Math.round(((record.endedAt || 0) - (record.startedAt || 0)) / 60000));
+  const people = (record.participants || []).filter((p) => p.role !== 'bot').length;
+  const hasBot = (record.participants || []).some((p) => p.role === 'bot');
+
+  return {
+    generator: 'local-stub',
+    overview: `${minutes} min meeting with ${people} participant(s)${hasBot ? ' and the sales agent' : ''}.`,
+    needs: pick(PATTERNS.needs, fromProspect),
+    objections: pick(PATTERNS.objections, fromProspect),
+    nextSteps: pick(PATTERNS.nextSteps),
+  };
+}
+
+/**
+ * @param {string} [modulePath] - Custom summarizer module, resolved from the
+ * project root.
+ * @returns {{ summarize: Function }}
+ */
+function createSummarizer(modulePath) {
+  if (!modulePath) return { summarize: summarizeLocally };
+
+  const custom = require(path.resolve(__dirname, '..', modulePath));
+  if (typeof custom.summarize !== 'function') {
+    throw new Error(`${modulePath} does not export summarize(record)`);
+  }
+  return {
+    async summarize(record) {
+      try {
+        return await custom.summarize(record);
+      } catch (err) {
+        console.error('Custom summarizer failed; using the local stub.', err.message);
+        return summarizeLocally(record);
+      }
+    },
+  };
+}
+
+module.exports = { createSummarizer, summarizeLocally };
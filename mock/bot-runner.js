@@ -0,0 +1,89 @@
+// mock/bot-runner.js
+// Fake bot runner implementing the contract in lib/bot-runner.js, so the
+// invite/dismiss flow can be exercised without the Python backend. Bots go
+// from 'starting' to 'running' after a short delay but never join the room.
+// - over HTTP: `npm run mock:bot` and set BOT_RUNNER_URL to
+//   http://localhost:7860;
+// - in-process: set BOT_RUNNER_STUB to true.
+
+const crypto = require('crypto');
+const express = require('express');
+const { BotRunnerError } = require('../lib/bot-runner');
+
+const PORT = process.env.MOCK_BOT_PORT || 7860;
+const STARTUP_DELAY_MS = 1500;
+
+function createMockBotState() {
+  const bots = new Map();
+
+  const view = (bot) => ({ bot_id: bot.id, status: bot.status, room_url: bot.roomUrl });
+  const find = (botId) => {
+    const bot = bots.get(botId);
+    if (!bot) throw new BotRunnerError(`bot ${botId} not found`, 404);
+    return bot;
+  };
+
+  return {
+    start({ room_url: roomUrl, token } = {}) {
+      if (!roomUrl) throw new BotRunnerError('room_url is required', 400);
+      const bot = { id: crypto.randomUUID(), roomUrl, token, status: 'starting' };
+      bots.set(bot.id, bot);
+      setTimeout(() => {
+        if (bot.status === 'starting') bot.status = 'running';
+      }, STARTUP_DELAY_MS).unref();
+      return view(bot);
+    },
+    stop({ bot_id: botId } = {}) {
+      const bot = find(botId);
+      bot.status = 'stopped';
+      return view(bot);
+    },
+    status(botId) {
+      return view(find(botId));
+    },
+  };
+}
+
+/**
+ * In-process runner with the same interface as lib/bot-runner.js.
+ */
+function createStubBotRunner(state = createMockBotState()) {
+  return {
+    async start({ roomUrl, token, config }) {
+      return state.start({ room_url: roomUrl, token, config });
+    },
+    async stop(botId) {
+      return state.stop({ bot_id: botId });
+    },
+    async status(botId) {
+      return state.status(botId);
+    },
+  };
+}
+
+function createMockBotRunner({ state = createMockBotState() } = {}) {
+  const app = express();
+  app.use(express.json());
+
+  const handle = (fn) => (req, res) => {
+    try {
+      res.json(fn(req));
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  };
+
+  app.post('/start', handle((req) => state.start(req.body)));
+  app.post('/stop', handle((req) => state.stop(req.body)));
+  app.get('/status/:botId', handle((req) => state.status(req.params.botId)));
+
+  return app;
+}
+
+if (require.main === module) {
+  createMockBotRunner().listen(PORT, () => {
+    console.log(`Mock bot runner running at http://localhost:${PORT}`);
+  });
+}
+
+module.exports = { createMockBotRunner, createMockBotState, createStubBotRunner };
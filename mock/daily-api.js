@@ -0,0 +1,174 @@
+// mock/daily-api.js
+// Local stand-in for the parts of the Daily REST API this server uses, so
+// tokens and rooms can be exercised offline. Two ways to use it:
+// - over HTTP: `npm run mock:daily` and set DAILY_API_URL to
+//   http://localhost:4010/v1 in config.json;
+// - in-process: set DAILY_API_STUB to true and index.js swaps the real
+//   client for createStubDailyClient().
+
+const crypto = require('crypto');
+const express = require('express');
+const { DailyApiError } = require('../lib/daily-api');
+
+const PORT = process.env.MOCK_DAILY_PORT || 4010;
+const MOCK_DOMAIN = 'https://mock.daily.co';
+
+/**
+ * Builds an unsigned token that carries its claims in the payload segment,
+ * mirroring the JWT shape of real Daily meeting tokens.
+ */
+function fakeToken(properties) {
+  const encode = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+  return `${encode({ alg: 'none', typ: 'JWT' })}.${encode({ ...properties, mock: true })}.`;
+}
+
+/**
+ * In-memory state shared by the HTTP mock and the stub client. Methods throw
+ * DailyApiError with the status the real API would answer with.
+ * @param {Object} [options]
+ * @param {string} [options.domain] - Origin of the room URLs it hands out.
+ */
+function createMockState({ domain = MOCK_DOMAIN } = {}) {
+  const rooms = new Map();
+
+  return {
+    createMeetingToken(properties = {}) {
+      if (properties.room_name !== undefined && typeof properties.room_name !== 'string') {
+        throw new DailyApiError('room_name must be a string', 400);
+      }
+      return fakeToken(properties);
+    },
+
+    createRoom({ name, privacy = 'private', properties = {} } = {}) {
+      const roomName = name || crypto.randomBytes(6).toString('hex');
+      if (!/^[A-Za-z0-9_-]{1,128}$/.test(roomName)) {
+        throw new DailyApiError(`invalid room name: ${roomName}`, 400);
+      }
+      if (rooms.has(roomName)) {
+        throw new DailyApiError(`a room named ${roomName} already exists`, 400);
+      }
+      const room = {
+        id: crypto.randomUUID(),
+        name: roomName,
+        api_created: true,
+        privacy,
+        url: `${domain}/${roomName}`,
+        created_at: new Date().toISOString(),
+        config: { ...properties },
+      };
+      rooms.set(roomName, room);
+      return room;
+    },
+
+    getRoom(name) {
+      const room = rooms.get(name);
+      if (!room) {
+        throw new DailyApiError(`room ${name} not found`, 404);
+      }
+      return room;
+    },
+
+    updateRoom(name, { privacy, properties = {} } = {}) {
+      const room = rooms.get(name);
+      if (!room) {
+        throw new DailyApiError(`room ${name} not found`, 404);
+      }
+      if (privacy) room.privacy = privacy;
+      room.config = { ...room.config, ...properties };
+      return room;
+    },
+
+    listRooms() {
+      return [...rooms.values()];
+    },
+
+    deleteRoom(name) {
+      if (!rooms.delete(name)) {
+        throw new DailyApiError(`room ${name} not found`, 404);
+      }
+      return { deleted: true, name };
+    },
+  };
+}
+
+/**
+ * In-process client with the same interface as lib/daily-api.js.
+ */
+function createStubDailyClient(state = createMockState()) {
+  return {
+    async createMeetingToken(properties) {
+      return state.createMeetingToken(properties);
+    },
+    async createRoom(options) {
+      return state.createRoom(options);
+    },
+    async getRoom(name) {
+      return state.getRoom(name);
+    },
+    async updateRoom(name, options) {
+      return state.updateRoom(name, options);
+    },
+    async listRooms() {
+      return state.listRooms();
+    },
+    async deleteRoom(name) {
+      return state.deleteRoom(name);
+    },
+  };
+}
+
+/**
+ * Creates the mock API as an Express app.
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - If set, requests must send it as a
+ * bearer token, like the real API.
+ * @param {Object} [options.state] - Shared state from createMockState().
+ */
+function createMockDailyApi({ apiKey, state = createMockState() } = {}) {
+  const app = express();
+  app.use(express.json());
+
+  app.use('/v1', (req, res, next) => {
+    const auth = req.get('authorization') || '';
+    if (!auth.startsWith('Bearer ') || (apiKey && auth.slice(7) !== apiKey)) {
+      return res.status(401).json({ error: 'authentication-error', info: 'Invalid API key' });
+    }
+    next();
+  });
+
+  // Runs a state call and maps DailyApiError onto the API's error shape
+  const handle = (fn) => (req, res) => {
+    try {
+      res.json(fn(req));
+    } catch (err) {
+      res.status(err.status || 500).json({ error: 'invalid-request-error', info: err.message });
+    }
+  };
+
+  app.post('/v1/meeting-tokens', handle((req) => ({
+    token: state.createMeetingToken((req.body && req.body.properties) || {}),
+  })));
+
+  app.post('/v1/rooms', handle((req) => state.createRoom(req.body || {})));
+
+  app.get('/v1/rooms/:name', handle((req) => state.getRoom(req.params.name)));
+
+  app.post('/v1/rooms/:name', handle((req) => state.updateRoom(req.params.name, req.body || {})));
+
+  app.get('/v1/rooms', handle(() => {
+    const data = state.listRooms();
+    return { total_count: data.length, data };
+  }));
+
+  app.delete('/v1/rooms/:name', handle((req) => state.deleteRoom(req.params.name)));
+
+  return app;
+}
+
+if (require.main === module) {
+  createMockDailyApi({ apiKey: process.env.DAILY_API_KEY }).listen(PORT, () => {
+    console.log(`Mock Daily API running at http://localhost:${PORT}/v1`);
+  });
+}
+
+module.exports = { createMockDailyApi, createMockState, createStubDailyClient, MOCK_DOMAIN };
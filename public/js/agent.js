@@ -0,0 +1,154 @@
+/**
+ * Tracks which participants are the Pipecat sales agent and what the agent
+ * is doing (listening, thinking or speaking). State comes from two sources:
+ * the bot's remote audio level and RTVI-style app messages
+ * (`{ label: 'rtvi-ai', type: 'bot-started-speaking', ... }`).
+ */
+class AgentPresence {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.botName] - User name the bot joins with.
+   * @param {string} [options.botUserId] - User id claim in the bot's token.
+   */
+  constructor({ botName = 'Sales Agent', botUserId = 'sales-agent' } = {}) {
+    this.botName = botName;
+    this.botUserId = botUserId;
+    this.states = new Map(); // session_id -> 'listening' | 'thinking' | 'speaking'
+    this.speakingThreshold = 0.05;
+    this.silenceTimers = new Map();
+  }
+
+  /**
+   * Decides whether a Daily participant is the sales agent: by the user_id
+   * claim in its server-minted token or, for a bot joining without a token,
+   * by the configured bot name. Anyone can pick any display name, so
+   * participants whose token carries another user id never count.
+   * @param {Object} participant - Daily participant object.
+   */
+  isBot(participant) {
+    if (!participant || participant.local) return false;
+    if (this.states.has(participant.session_id)) return true;
+    // Without a token user_id, Daily reports the session id
+    const userId = participant.user_id && participant.user_id !== participant.session_id
+      ? participant.user_id
+      : '';
+    if (userId) return userId === this.botUserId || userId.startsWith(`${this.botUserId}-`);
+    return (participant.user_name || '').trim() === this.botName;
+  }
+
+  /**
+   * Registers a participant as the agent and turns its tile into an agent
+   * tile with a state indicator.
+   * @param {HTMLElement} tile - The participant's avatar bubble or video
+   * container.
+   * @param {Object} participant - Daily participant object.
+   */
+  decorate(tile, participant) {
+    const id = participant.session_id;
+    if (!this.states.has(id)) this.states.set(id, 'listening');
+
+    tile.classList.add('agent-tile');
+    tile.dataset.agentId = id;
+
+    let badge = tile.querySelector('.agent-state');
+    if (!badge) {
+      badge = document.createElement('div');
+      badge.className = 'agent-state';
+      tile.appendChild(badge);
+    }
+    let name = tile.querySelector('.agent-name');
+    if (!name) {
+      name = document.createElement('div');
+      name.className = 'agent-name';
+      tile.appendChild(name);
+    }
+    name.textContent = participant.user_name || this.botName;
+    this.render(id);
+  }
+
+  /**
+   * Forgets a participant that left the call.
+   */
+  forget(participantId) {
+    clearTimeout(this.silenceTimers.get(participantId));
+    this.silenceTimers.delete(participantId);
+    this.states.delete(participantId);
+  }
+
+  /**
+   * Forgets every agent, e.g. after leaving the call.
+   */
+  reset() {
+    [...this.states.keys()].forEach((id) => this.forget(id));
+  }
+
+  /**
+   * Updates the agent's state and its tiles.
+   * @param {string} participantId - The agent's session id.
+   * @param {string} state - 'listening', 'thinking' or 'speaking'.
+   */
+  setState(participantId, state) {
+    if (!this.states.has(participantId) || this.states.get(participantId) === state) return;
+    this.states.set(participantId, state);
+    this.render(participantId);
+  }
+
+  /**
+   * Handles Daily's `remote-participants-audio-level` map. Audio above the
+   * threshold means the agent is speaking; it goes back to listening after a
+   * short silence so gaps between words don't flicker the indicator.
+   * @param {Object} levels - session_id -> audio level (0..1).
+   */
+  handleAudioLevels(levels) {
+    this.states.forEach((state, id) => {
+      const level = levels[id] || 0;
+      if (level > this.speakingThreshold) {
+        clearTimeout(this.silenceTimers.get(id));
+        this.silenceTimers.delete(id);
+        this.setState(id, 'speaking');
+      } else if (state === 'speaking' && !this.silenceTimers.has(id)) {
+        this.silenceTimers.set(id, setTimeout(() => {
+          this.silenceTimers.delete(id);
+          if (this.states.get(id) === 'speaking') this.setState(id, 'listening');
+        }, 600));
+      }
+    });
+  }
+
+  /**
+   * Maps RTVI server messages onto agent states.
+   * @param {string} fromId - Sender session id (the bot).
+   * @param {Object} message - The RTVI message (`label`, `type`, `data`).
+   */
+  handleRtviMessage(fromId, message) {
+    const id = this.states.has(fromId) ? fromId : this.states.keys().next().value;
+    if (!id) return;
+    switch (message.type) {
+      case 'bot-ready':
+      case 'bot-stopped-speaking':
+      case 'user-started-speaking':
+        this.setState(id, 'listening');
+        break;
+      case 'user-stopped-speaking':
+      case 'bot-llm-started':
+        this.setState(id, 'thinking');
+        break;
+      case 'bot-started-speaking':
+      case 'bot-tts-started':
+        this.setState(id, 'speaking');
+        break;
+      default:
+        break;
+    }
+  }
+
+  render(participantId) {
+    const state = this.states.get(participantId) || 'listening';
+    const labels = { listening: 'Listening', thinking: 'Thinking…', speaking: 'Speaking' };
+    document.querySelectorAll(`[data-agent-id="${participantId}"]`).forEach((tile) => {
+      tile.dataset.agentState = state;
+      const badge = tile.querySelector('.agent-state');
+      if (badge) badge.textContent = labels[state];
+    });
+  }
+}
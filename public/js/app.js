@@ -9,9 +9,145 @@ class DailyCallManager {
   constructor() {
     this.call = Daily.createCallObject();
     this.currentRoomUrl = null;
+    this.config = {};
     this.colors = new Map();
     this.lastActiveId = null;
+    this.speakingThreshold = 0.05;
     this.logEl = null;
+    this.roomPicker = new RoomPicker({
+      getPasscode: () => document.getElementById('host-passcode')?.value,
+      onError: (message) => this.showCallError(message),
+    });
+    this.botStatus = 'stopped';
+    this.agentBriefing = null; // `${botId}:${playbookId}` last sent to the agent
+    this.botPollTimer = null;
+    this.agent = new AgentPresence();
+    this.messages = new AppMessageRouter({
+      send: (data, to) => this.call.sendAppMessage(data, to),
+      onReject: (reason, fromId) => this.logEvent(`app-message dropped from ${fromId}: ${reason}`),
+    });
+    this.transcript = new TranscriptPanel({
+      listEl: document.getElementById('transcript'),
+      resolveName: (id) => this.participantName(id),
+    });
+    this.transcribing = false;
+    this.seenMessageIds = new Set();
+    this.meetingLog = new MeetingLog();
+    this.roster = new ParticipantRoster({
+      listEl: document.getElementById('roster'),
+      renderActions: (entry) => this.hostControls.actionsFor(entry),
+    });
+    this.hostControls = new HostControls({
+      call: this.call,
+      cardEl: document.getElementById('host-card'),
+      waitingEl: document.getElementById('waiting-list'),
+      lockBtn: document.getElementById('lock-room-btn'),
+      getPasscode: () => document.getElementById('host-passcode')?.value,
+      onError: (message) => this.showCallError(message),
+    });
+    this.playbook = new PlaybookPanel({
+      call: this.call,
+      cardEl: document.getElementById('playbook-card'),
+      selectEl: document.getElementById('playbook-select'),
+      stageEl: document.getElementById('playbook-stage'),
+      prevBtn: document.getElementById('playbook-prev-btn'),
+      nextBtn: document.getElementById('playbook-next-btn'),
+      detailsEl: document.getElementById('playbook-details'),
+      onChange: (playbook) => this.handlePlaybookChanged(playbook),
+      hostHeaders: () => this.hostHeaders(),
+      onError: (message) => this.showCallError(message),
+    });
+    this.scorecard = new LeadScorecard({
+      call: this.call,
+      messages: this.messages,
+      cardEl: document.getElementById('scorecard-card'),
+      frameworkEl: document.getElementById('scorecard-framework'),
+      progressEl: document.getElementById('scorecard-progress'),
+      progressLabelEl: document.getElementById('scorecard-progress-label'),
+      fieldsEl: document.getElementById('scorecard-fields'),
+      isBot: (id) => this.agent.states.has(id),
+      resolveName: (id) => this.participantName(id),
+      hostHeaders: () => this.hostHeaders(),
+      // The playbook's qualification question for a field, as a prompt
+      hint: (id) => this.playbook.playbook?.qualification.find((q) => q.id === id)?.question,
+    });
+    this.dragger = new TileDragger({
+      canvas: document.getElementById('canvas'),
+      tilesEl: document.getElementById('canvas-participants'),
+    });
+    this.layout = new CanvasLayout({
+      canvas: document.getElementById('canvas'),
+      tilesEl: document.getElementById('canvas-participants'),
+      messages: this.messages,
+    });
+    this.arranger = new CanvasArranger({
+      canvas: document.getElementById('canvas'),
+      tilesEl: document.getElementById('canvas-participants'),
+      onFree: () => {
+        document
+          .querySelectorAll('#canvas-participants [data-layout-key]')
+          .forEach((tile) => this.layout.place(tile));
+      },
+    });
+    this.tileControls = new TileControls({
+      tilesEl: document.getElementById('canvas-participants'),
+      dragger: this.dragger,
+      screenButton: document.getElementById('toggle-screen-size'),
+      onChange: () => this.arranger.scheduleReflow(),
+      onError: (message) => this.showCallError(message),
+    });
+    this.assets = new SharedAssets({
+      canvas: document.getElementById('canvas'),
+      tilesEl: document.getElementById('canvas-participants'),
+      dragger: this.dragger,
+      messages: this.messages,
+      onError: (message) => this.showCallError(message),
+    });
+    this.diagnostics = new NetworkDiagnostics({
+      call: this.call,
+      messages: this.messages,
+      statsEl: document.getElementById('net-stats'),
+      warningsEl: document.getElementById('net-warnings'),
+      resolveName: (id) => this.participantName(id),
+    });
+    this.latency = new LatencyMeter({
+      statsEl: document.getElementById('latency-stats'),
+      chartEl: document.getElementById('latency-chart'),
+      isBot: (id) => this.agent.states.has(id),
+      onTurn: (turn) => this.logEvent(`agent latency: turn ${turn.n} ${turn.latencyMs}ms (${turn.source})`),
+    });
+    this.lobby = new PreJoinLobby({
+      call: this.call,
+      el: document.getElementById('lobby'),
+      videoEl: document.getElementById('lobby-preview'),
+      meterEl: document.getElementById('lobby-mic-level'),
+      nameInput: document.getElementById('display-name'),
+      cameraToggle: document.getElementById('lobby-camera-on'),
+      micToggle: document.getElementById('lobby-mic-on'),
+    });
+    this.recording = new RecordingControls({
+      call: this.call,
+      messages: this.messages,
+      recorder: new CanvasRecorder({
+        canvasEl: document.getElementById('canvas'),
+        tilesEl: document.getElementById('canvas-participants'),
+        audioTracks: () => this.audioTracksForRecording(),
+      }),
+      button: document.getElementById('record-btn'),
+      indicatorEl: document.getElementById('recording-indicator'),
+      resolveName: (id) => this.participantName(id),
+      fileName: () => `${this.roomName() || 'meeting'}-${new Date().toISOString().slice(0, 16).replace(/[:T]/g, '-')}.webm`,
+      onError: (message) => this.showCallError(message),
+    });
+    this.lifecycle = new CallLifecycle({
+      onChange: (state, previous, error) => this.handleCallStateChange(state, previous, error),
+      rejoin: () => this.connect(),
+    });
+    this.joinInFlight = false;
+    this.pastedToken = null;
+    this.rtvi = new RtviClient({
+      send: (data, to) => this.call.sendAppMessage(data, to),
+    });
     this.initialize();
   }
 
@@ -20,6 +156,7 @@ class DailyCallManager {
    */
   async initialize() {
     this.setupEventListeners();
+    this.setupMessageHandlers();
     this.loadConfig();
     this.logEl = document.getElementById('debug-log');
     this.placeInCanvas = this.placeInCanvas.bind(this);
@@ -33,13 +170,51 @@ class DailyCallManager {
       .getElementById('share-screen')
       .addEventListener('click', () => this.toggleScreenShare());
 
+    document
+      .getElementById('check-devices-btn')
+      .addEventListener('click', () => this.startPreview());
+    this.setupDeviceSelectorListeners();
+    this.updateDeviceSelectorsUi();
+
+    document
+      .getElementById('toggle-transcription')
+      .addEventListener('click', () => this.toggleTranscription());
+    document
+      .getElementById('copy-diagnostics-btn')
+      .addEventListener('click', () => this.copyDiagnostics());
+    document
+      .getElementById('latency-json-btn')
+      .addEventListener('click', () => this.exportLatency('json'));
+    document
+      .getElementById('latency-csv-btn')
+      .addEventListener('click', () => this.exportLatency('csv'));
+    document
+      .getElementById('invite-bot-btn')
+      .addEventListener('click', () => this.inviteBot());
+    document
+      .getElementById('dismiss-bot-btn')
+      .addEventListener('click', () => this.dismissBot());
+    document
+      .getElementById('interrupt-bot-btn')
+      .addEventListener('click', () => this.interruptBot());
+
+    document
+      .getElementById('snap-to-grid')
+      .addEventListener('change', (e) => this.dragger.setSnap(e.target.checked));
+    document
+      .getElementById('layout-mode')
+      .addEventListener('change', (e) => this.setLayoutMode(e.target.value));
+    this.setupAssetUpload();
+
     const sendBtn = document.getElementById('send-meta-btn');
     const textarea = document.getElementById('meta-text');
     if (sendBtn && textarea) {
       sendBtn.addEventListener('click', () => {
         const text = textarea.value.trim();
         if (!text) return;
-        this.sendMeta(text);
+        const target = document.getElementById('message-target')?.value || 'room';
+        if (target === 'room') this.sendMeta(text);
+        else this.sendToAgent(text, target);
         textarea.value = '';
       });
     }
@@ -51,13 +226,31 @@ class DailyCallManager {
       const res = await fetch('/config', { cache: 'no-store' });
       if (!res.ok) return;
       const cfg = await res.json();
+      this.config = cfg;
+      if (cfg.botName) this.agent.botName = cfg.botName;
+      if (cfg.roomProvisioning) this.roomPicker.enable();
       if (cfg.roomUrl) {
         const roomInput = document.getElementById('room-url');
         if (roomInput) roomInput.value = cfg.roomUrl;
       }
-      if (cfg.joinToken) {
-        const tokenInput = document.getElementById('join-token');
-        if (tokenInput) tokenInput.value = cfg.joinToken;
+      const tokenInput = document.getElementById('join-token');
+      if (cfg.tokenMinting) {
+        // A fresh token is minted on every join; the input is only an override
+        if (tokenInput) tokenInput.placeholder = 'Leave empty to get a fresh token';
+      } else if (cfg.joinToken && tokenInput) {
+        tokenInput.value = cfg.joinToken;
+      }
+      const passcodeInput = document.getElementById('host-passcode');
+      const hostCheckbox = document.getElementById('join-as-host');
+      if (hostCheckbox && passcodeInput) {
+        // Host tokens need the server's passcode, so no passcode, no hosts
+        hostCheckbox.disabled = !(cfg.tokenMinting && cfg.hostPasscodeRequired);
+        if (cfg.tokenMinting && !cfg.hostPasscodeRequired) {
+          hostCheckbox.parentElement.title = 'Set HOST_PASSCODE on the server to allow host joins';
+        }
+        hostCheckbox.addEventListener('change', () => {
+          passcodeInput.hidden = !hostCheckbox.checked;
+        });
       }
     } catch (err) {
       console.warn('Failed to load config', err);
@@ -65,6 +258,141 @@ class DailyCallManager {
   }
   
   
+  /**
+   * Asks the server to mint a short-lived meeting token for this join.
+   * @param {string} roomUrl - The URL of the room the token is for.
+   * @returns {Promise<string>} The meeting token.
+   */
+  async fetchMeetingToken(roomUrl) {
+    const asHost = document.getElementById('join-as-host')?.checked;
+    const data = await this.postJson('/token', {
+      roomUrl,
+      role: asHost ? 'owner' : 'guest',
+      passcode: document.getElementById('host-passcode')?.value || undefined,
+      userName: this.lobby.displayName || undefined,
+      clientId: this.clientId(),
+    });
+    return data.token;
+  }
+
+  /**
+   * Random id this browser keeps, which the server turns into our token's
+   * user id so our tile keeps its place in the shared layout across joins.
+   */
+  clientId() {
+    const key = 'weplex-client-id';
+    try {
+      let id = localStorage.getItem(key);
+      if (!/^[a-f0-9]{32}$/.test(id || '')) {
+        id = crypto.randomUUID().replace(/-/g, '');
+        localStorage.setItem(key, id);
+      }
+      return id;
+    } catch (err) {
+      return undefined; // storage blocked; the server picks one per token
+    }
+  }
+
+  /**
+   * POSTs a JSON body to the server and returns the parsed response,
+   * throwing with the server's error message on a non-2xx status.
+   * @param {string} url - Server route.
+   * @param {Object} body - Request body.
+   * @param {Object} [headers] - Extra headers, e.g. from hostHeaders().
+   */
+  async postJson(url, body, headers = {}) {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const err = new Error(data.error || `${url} failed (${res.status})`);
+      err.status = res.status;
+      err.body = data;
+      throw err;
+    }
+    return data;
+  }
+
+  /**
+   * Asks the server to dispatch the Pipecat sales agent into the current room.
+   */
+  async inviteBot() {
+    if (!this.currentRoomUrl) return;
+    this.updateBotUi('starting');
+    try {
+      const data = await this.postJson('/bot/start', { roomUrl: this.currentRoomUrl });
+      this.updateBotUi(data.status);
+    } catch (err) {
+      console.error('Failed to invite the sales agent', err);
+      this.logEvent(`bot start failed: ${err.message}`);
+      this.refreshBotStatus();
+    }
+  }
+
+  /**
+   * Asks the server to stop the sales agent in the current room.
+   */
+  async dismissBot() {
+    if (!this.currentRoomUrl) return;
+    try {
+      const data = await this.postJson('/bot/stop', { roomUrl: this.currentRoomUrl });
+      this.updateBotUi(data.status);
+    } catch (err) {
+      console.error('Failed to dismiss the sales agent', err);
+      this.logEvent(`bot stop failed: ${err.message}`);
+    }
+  }
+
+  /**
+   * Fetches the sales agent's status for the current room. While the bot is
+   * starting, keeps polling until the runner reports it running or stopped.
+   */
+  async refreshBotStatus() {
+    clearTimeout(this.botPollTimer);
+    if (!this.config.botRunner || !this.currentRoomUrl) return;
+    try {
+      const query = new URLSearchParams({ roomUrl: this.currentRoomUrl });
+      const res = await fetch(`/bot/status?${query}`, { cache: 'no-store' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      this.updateBotUi(data.status);
+    } catch (err) {
+      console.warn('Failed to get sales agent status', err);
+    }
+  }
+
+  /**
+   * Reflects the sales agent's status in the sidebar buttons.
+   * @param {string} status - 'starting', 'running' or 'stopped'.
+   */
+  updateBotUi(status) {
+    this.botStatus = status || 'stopped';
+    const joined = this.call.meetingState() === 'joined-meeting';
+    const active = this.botStatus === 'starting' || this.botStatus === 'running';
+    const labels = { starting: 'Joining…', running: 'In the room', stopped: 'Not invited' };
+    const label = this.rtvi.ready ? 'Ready' : labels[this.botStatus] || this.botStatus;
+
+    document.getElementById('bot-status').textContent = `Agent: ${label}`;
+    document.getElementById('invite-bot-btn').disabled = !(joined && this.config.botRunner) || active;
+    document.getElementById('dismiss-bot-btn').disabled = !joined || !active;
+    document.getElementById('interrupt-bot-btn').disabled = !joined || !this.rtvi.ready;
+
+    // Text can only go to the agent once it has said bot-ready
+    const target = document.getElementById('message-target');
+    target.querySelectorAll('option[value^="agent-"]').forEach((opt) => {
+      opt.disabled = !joined || !this.rtvi.ready;
+    });
+    if (target.selectedOptions[0]?.disabled) target.value = 'room';
+
+    clearTimeout(this.botPollTimer);
+    if (joined && this.botStatus === 'starting') {
+      this.botPollTimer = setTimeout(() => this.refreshBotStatus(), 2000);
+    }
+  }
+
   /**
    * Configures event listeners for various call-related events.
    */
@@ -72,14 +400,36 @@ class DailyCallManager {
     const events = {
       'active-speaker-change': this.handleActiveSpeakerChange.bind(this),
       error: this.handleError.bind(this),
+      'nonfatal-error': this.handleNonfatalError.bind(this),
+      'camera-error': this.handleCameraError.bind(this),
+      'network-quality-change': (ev) => this.diagnostics.handleQualityChange(ev),
+      'network-connection': this.handleNetworkConnection.bind(this),
+      'available-devices-updated': this.handleDevicesUpdated.bind(this),
+      'cpu-load-change': (ev) => this.diagnostics.handleCpuLoad(ev),
       'joined-meeting': this.handleJoin.bind(this),
       'left-meeting': this.handleLeave.bind(this),
-      'participant-joined': this.handleParticipantJoinedOrUpdated.bind(this),
+      'participant-joined': (ev) => {
+        this.recording.participantJoined(ev.participant.session_id);
+        this.handleParticipantJoinedOrUpdated(ev);
+      },
       'participant-left': this.handleParticipantLeft.bind(this),
       'participant-updated': this.handleParticipantJoinedOrUpdated.bind(this),
       'local-screen-share-started': this.onLocalScreenStarted.bind(this),
       'local-screen-share-stopped': this.onLocalScreenStopped.bind(this),
-      'app-message': this.handleAppMessage.bind(this)
+      'app-message': this.handleAppMessage.bind(this),
+      'remote-participants-audio-level': this.handleRemoteAudioLevels.bind(this),
+      'local-audio-level': this.handleLocalAudioLevel.bind(this),
+      'transcription-message': (ev) => this.transcript.handleDailyTranscription(ev),
+      'transcription-started': () => this.updateTranscriptionUi(true),
+      'transcription-stopped': () => this.updateTranscriptionUi(false),
+      'transcription-error': this.handleTranscriptionError.bind(this),
+      'waiting-participant-added': () => this.hostControls.renderWaiting(),
+      'waiting-participant-updated': () => this.hostControls.renderWaiting(),
+      'waiting-participant-removed': () => this.hostControls.renderWaiting(),
+      'access-state-updated': this.handleAccessStateUpdated.bind(this),
+      'recording-started': (ev) => this.recording.handleCloudStarted(ev),
+      'recording-stopped': (ev) => this.recording.handleCloudStopped(ev),
+      'recording-error': (ev) => this.recording.handleCloudError(ev),
 
     };
 
@@ -88,37 +438,545 @@ class DailyCallManager {
     });
   }
 
-  sendMeta(text) {
-    this.call.sendAppMessage(
-      { type: 'meta', text, ts: Date.now() },
-      '*' // broadcast
+  /**
+   * Registers a handler (and payload schema) for each app-message type this
+   * client understands. Anything else is dropped by the router.
+   */
+  setupMessageHandlers() {
+    this.messages.register(
+      'meta',
+      (msg, { fromId }) => {
+        this.appendMetaDiv(fromId, msg);
+        this.meetingLog.message(msg);
+      },
+      { text: 'string', ts: 'number?', senderName: 'string?' }
+    );
+
+    this.messages.register(
+      'layout-move',
+      (msg) => this.layout.handleRemoteMove(msg),
+      { key: 'string', x: 'number', y: 'number', w: 'number?', h: 'number?' }
+    );
+
+    this.messages.register(
+      'net-stats',
+      (msg, { fromId }) => this.diagnostics.record(fromId, msg),
+      {
+        threshold: 'string',
+        quality: 'number?',
+        packetLoss: 'number?',
+        sendKbps: 'number?',
+        recvKbps: 'number?',
+        rttMs: 'number?',
+      }
+    );
+
+    this.messages.register(
+      'recording',
+      (msg, { fromId }) => this.recording.handleRemote(msg, fromId),
+      { active: 'boolean', mode: 'string' }
+    );
+
+    this.messages.register(
+      'asset-added',
+      (msg) => this.assets.handleRemoteAdded(msg),
+      { assetId: 'string' }
+    );
+
+    this.messages.register(
+      'asset-update',
+      (msg) => this.assets.handleRemoteUpdate(msg),
+      { assetId: 'string', x: 'number', y: 'number', w: 'number', h: 'number', page: 'number' }
+    );
+
+    this.messages.register(
+      'asset-removed',
+      (msg) => this.assets.handleRemoteRemoved(msg),
+      { assetId: 'string' }
+    );
+
+    this.messages.register(
+      'playbook',
+      () => this.playbook.reload().then(() => {
+        this.scorecard.renderFields();
+        this.sendPlaybookToAgent();
+      }),
+      { playbookId: 'string' }
+    );
+
+    // Sent by the agent, or by another host editing the scorecard
+    this.messages.register(
+      'lead-field',
+      (msg, { fromId }) => this.scorecard.handleMessage(msg, fromId),
+      { field: 'string', updatedAt: 'number?' }
+    );
+
+    this.messages.register(
+      'lead-framework',
+      (msg, { fromId }) => this.scorecard.handleFrameworkMessage(msg, fromId),
+      { framework: 'string' }
+    );
+
+    this.messages.register(
+      'rtvi-ai',
+      (msg, { fromId }) => {
+        // Only the agent speaks RTVI; anyone else could fake its state
+        if (this.agent.isBot(this.call.participants()[fromId])) this.rtvi.handleMessage(fromId, msg);
+      },
+      { type: 'string' }
     );
+    this.setupRtviListeners();
+  }
+
+  /**
+   * Subscribes the UI to the bot's RTVI messages: speaking/thinking state
+   * and transcripts for the agent tile and transcript panel, plus readiness,
+   * LLM output and metrics for the sidebar and debug overlay.
+   */
+  setupRtviListeners() {
+    this.rtvi.on('*', (msg, fromId) => {
+      this.agent.handleRtviMessage(fromId, msg);
+      this.transcript.handleRtviMessage(fromId, msg);
+      this.latency.handleRtviMessage(msg);
+    });
+    this.rtvi.on('bot-ready', () => {
+      this.logEvent('agent ready');
+      this.updateBotUi(this.botStatus);
+      this.sendPlaybookToAgent();
+    });
+    this.rtvi.on('bot-llm-stopped', (msg) => {
+      if (msg.data.text) this.logEvent(`agent llm: ${msg.data.text}`);
+    });
+    this.rtvi.on('llm-function-call', (msg) => {
+      this.logEvent(`agent function call: ${msg.data.function_name}(${JSON.stringify(msg.data.args || {})})`);
+    });
+    this.rtvi.on('metrics', (msg) => {
+      const summary = ['ttfb', 'processing']
+        .flatMap((kind) => (msg.data[kind] || []).map((m) => `${kind} ${m.processor}: ${Math.round(m.value * 1000)}ms`))
+        .join(', ');
+      if (summary) this.logEvent(`agent metrics: ${summary}`);
+    });
+    // Pipecat bots send custom data as RTVI server messages
+    this.rtvi.on('server-message', (msg, fromId) => {
+      if (msg.data && msg.data.type === 'lead-field') this.scorecard.handleMessage(msg.data, fromId);
+    });
+    this.rtvi.on('error', (msg) => {
+      this.logEvent(`agent error: ${msg.data.error}`);
+    });
+  }
+
+  /**
+   * Adds the room's sales playbook to the agent's LLM context. Called
+   * whenever the agent is ready or the playbook loads or changes; only the
+   * briefing host sends it, once per agent session and playbook.
+   */
+  async sendPlaybookToAgent() {
+    const content = this.playbook.agentContext;
+    const botId = this.rtvi.botId;
+    if (!content || !this.rtvi.ready || !botId || !this.isBriefingHost()) return;
+    const briefing = `${botId}:${this.playbook.playbook.id}`;
+    if (briefing === this.agentBriefing) return;
+    this.agentBriefing = briefing;
+    try {
+      await this.rtvi.appendToContext({ role: 'system', content });
+      this.logEvent(`agent briefed with playbook ${this.playbook.playbook.id}`);
+    } catch (err) {
+      if (this.agentBriefing === briefing) this.agentBriefing = null;
+      console.error('Failed to send the playbook to the agent', err);
+      this.logEvent(`playbook not delivered: ${err.message}`);
+    }
+  }
+
+  /**
+   * Whether this client briefs the agent: the host with the lowest session
+   * id, so the playbook is sent once however many hosts are in the room.
+   * Without HOST_PASSCODE nobody is a host, so nobody briefs the agent.
+   * @returns {boolean}
+   */
+  isBriefingHost() {
+    const participants = this.call?.participants() || {};
+    const local = participants.local;
+    if (!local?.owner) return false;
+    const hosts = Object.values(participants)
+      .filter((p) => p.owner && !this.agent.isBot(p))
+      .map((p) => p.session_id)
+      .sort();
+    return hosts[0] === local.session_id;
+  }
+
+  /**
+   * After a host switches playbooks: other reps reload theirs and the agent
+   * gets the new one.
+   * @param {Object} playbook - The room's new playbook.
+   */
+  handlePlaybookChanged(playbook) {
+    this.scorecard.renderFields();
+    try {
+      this.messages.send('playbook', { playbookId: playbook.id });
+    } catch (err) {
+      console.warn('Failed to announce the playbook change', err);
+    }
+    this.sendPlaybookToAgent();
+  }
+
+  /**
+   * Sends typed text to the sales agent and marks the log entry delivered
+   * once the bot acknowledges it.
+   * @param {string} text - The message.
+   * @param {string} mode - 'agent-turn' to have the agent respond as if the
+   * prospect said it, or 'agent-context' to quietly add it to the agent's
+   * context (e.g. "the prospect is from ACME, budget 50k").
+   */
+  async sendToAgent(text, mode) {
+    const entry = this.appendMetaDiv('me', { text, ts: Date.now() }, mode);
+    this.setMetaStatus(entry, 'sending…');
+    try {
+      if (mode === 'agent-context') {
+        await this.rtvi.appendToContext({ role: 'system', content: text });
+      } else {
+        await this.rtvi.sendText(text);
+      }
+      this.setMetaStatus(entry, 'delivered ✓');
+    } catch (err) {
+      console.warn('Agent did not confirm message', err);
+      this.setMetaStatus(entry, 'not confirmed');
+    }
+  }
+
+  /**
+   * Asks the sales agent to stop talking.
+   */
+  interruptBot() {
+    if (!this.rtvi.ready) return;
+    this.rtvi.interrupt();
+  }
+
+  sendMeta(text) {
+    const senderName = this.call.participants().local?.user_name || 'Guest';
+    const message = this.messages.send('meta', { text, senderName }); // broadcast
 
     // also show your own message locally
-    this.appendMetaDiv('me', { text, ts: Date.now() });
+    this.appendMetaDiv('me', message);
+    this.meetingLog.message(message);
+    this.persistMessage(message);
   }
-  
-  // ✅ Receive and display messages
+
+  /**
+   * Returns the Daily room name of the current call (last path segment of
+   * the room URL), which the server uses as the room id.
+   */
+  roomName() {
+    try {
+      return new URL(this.currentRoomUrl).pathname.split('/').filter(Boolean).pop() || null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Saves a chat message in the server's per-room history.
+   * @param {Object} message - The `meta` envelope that was broadcast.
+   */
+  async persistMessage({ id, text, ts, senderName }) {
+    const room = this.roomName();
+    if (!room) return;
+    try {
+      await this.postJson(`/rooms/${encodeURIComponent(room)}/messages`, { id, text, ts, senderName });
+    } catch (err) {
+      console.warn('Failed to save message', err);
+    }
+  }
+
+  /**
+   * Loads the room's earlier messages into the top of the message log so
+   * late joiners see the thread. Messages already shown live are skipped.
+   */
+  async loadMessageHistory() {
+    const room = this.roomName();
+    if (!room) return;
+    try {
+      const res = await fetch(`/rooms/${encodeURIComponent(room)}/messages`, { cache: 'no-store' });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const { messages } = await res.json();
+      const log = document.getElementById('meta-log');
+      const firstLive = log.firstChild;
+      messages.forEach((message) => {
+        const entry = this.appendMetaDiv('history', message);
+        if (entry) log.insertBefore(entry, firstLive);
+      });
+    } catch (err) {
+      console.warn('Failed to load message history', err);
+    }
+  }
+
+  // ✅ Receive and route messages by type
   handleAppMessage(ev) {
     const { fromId, data } = ev;
     if (!data) return;
     this.logEvent(`app-message from ${fromId}: ${JSON.stringify(data)}`);
-    this.appendMetaDiv(fromId, data);
+    this.messages.dispatch(fromId, data);
+  }
+
+
+  /**
+   * Feeds remote audio levels to the agent tile's speaking indicator and the
+   * participants' speaking rings.
+   * @param {Object} event - The remote-participants-audio-level event object.
+   */
+  handleRemoteAudioLevels(event) {
+    const levels = event.participantsAudioLevel || {};
+    this.agent.handleAudioLevels(levels);
+    this.updateSpeakingRings(levels);
+    this.latency.handleAudioLevels(levels);
+  }
+
+  /**
+   * Drives the local participant's speaking ring and marks when they stop
+   * talking, for the agent latency meter.
+   * @param {Object} event - The local-audio-level event object.
+   */
+  handleLocalAudioLevel(event) {
+    const local = this.call.participants().local;
+    if (!local) return;
+    const levels = { [local.session_id]: event.audioLevel || 0 };
+    this.updateSpeakingRings(levels);
+    this.latency.handleAudioLevels(levels);
+  }
+
+  /**
+   * Copies the network diagnostics to the clipboard, falling back to the
+   * console when clipboard access is denied.
+   */
+  async copyDiagnostics() {
+    const button = document.getElementById('copy-diagnostics-btn');
+    const output = document.getElementById('diagnostics-output');
+    try {
+      await this.diagnostics.copy();
+      output.hidden = true;
+      button.textContent = 'Copied';
+    } catch (e) {
+      // Without clipboard access, show it selected so it can be copied by hand
+      console.warn('Clipboard unavailable', e);
+      output.value = JSON.stringify(this.diagnostics.toJSON(), null, 2);
+      output.hidden = false;
+      output.focus();
+      output.select();
+      button.textContent = 'Select and copy below';
+    }
+    setTimeout(() => { button.textContent = 'Copy diagnostics'; }, 2000);
+  }
+
+  /**
+   * Downloads this meeting's agent latency turns.
+   * @param {string} format - 'json' or 'csv'.
+   */
+  exportLatency(format) {
+    const body = format === 'csv'
+      ? this.latency.toCsv()
+      : JSON.stringify({ roomName: this.roomName(), ...this.latency.toJSON() }, null, 2);
+    const url = URL.createObjectURL(new Blob([body], { type: format === 'csv' ? 'text/csv' : 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${this.roomName() || 'meeting'}-latency.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+  }
+
+  /**
+   * Everyone's microphone and screen audio (the bot's too) for the local
+   * recording mix.
+   */
+  audioTracksForRecording() {
+    return Object.values(this.call.participants())
+      .flatMap((p) => [p.tracks.audio, p.tracks.screenAudio])
+      .map((track) => track && track.persistentTrack)
+      .filter(Boolean);
+  }
+
+  /**
+   * Starts or stops Daily's transcription for the room. Needs a token with
+   * transcription permission (owner tokens have it).
+   */
+  async toggleTranscription() {
+    try {
+      if (this.transcribing) {
+        await this.call.stopTranscription();
+      } else {
+        await this.call.startTranscription();
+      }
+    } catch (e) {
+      console.error('Failed to toggle transcription:', e);
+      this.logEvent(`transcription failed: ${e.message || e}`);
+    }
+  }
+
+  updateTranscriptionUi(active) {
+    this.transcribing = active;
+    document.getElementById('toggle-transcription').textContent = active
+      ? 'Stop transcription'
+      : 'Start transcription';
+  }
+
+  handleTranscriptionError(event) {
+    console.error('Transcription error:', event.errorMsg || event);
+    this.updateTranscriptionUi(false);
+  }
+
+  /**
+   * Returns a display name for a session id, or null if it isn't in the call.
+   * @param {string} sessionId - The participant's session id.
+   */
+  participantName(sessionId) {
+    const participants = this.call.participants();
+    if (participants.local?.session_id === sessionId) return 'You';
+    const participant = participants[sessionId];
+    if (participant) return participant.user_name || null;
+    // Participants that already left are still in the roster or meeting log
+    return this.roster.name(sessionId) || this.meetingLog.participants.get(sessionId)?.name || null;
+  }
+
+  /**
+   * Classifies a participant as 'bot' (the sales agent), 'host' (joined
+   * with an owner token) or 'guest'.
+   * @param {Object} participant - Daily participant object.
+   */
+  participantRole(participant) {
+    if (this.agent.isBot(participant)) return 'bot';
+    return participant.owner ? 'host' : 'guest';
+  }
+
+  /**
+   * Saves the meeting record on the server, which adds a sales summary, and
+   * shows the summary with export links in the "Last meeting" card. Hosts
+   * only: the prospect doesn't get the internal summary, and the server keeps
+   * one record per meeting however many hosts save it.
+   */
+  async saveMeetingRecord() {
+    if (!this.meetingLog.localIsHost) {
+      this.meetingLog.reset();
+      return;
+    }
+    // Real user names in the record; the panel shows "You" for ourselves
+    const speakerName = (id) => this.meetingLog.participants.get(id)?.name || this.participantName(id);
+    const record = {
+      ...this.meetingLog.toRecord(this.transcript.toJSON(speakerName)),
+      scorecard: this.scorecard.toJSON(),
+      latency: this.latency.turns,
+    };
+    this.meetingLog.reset();
+    try {
+      const { id, summary } = await this.postJson('/meetings', record, this.hostHeaders());
+      this.showMeetingSummary(id, summary);
+    } catch (err) {
+      console.error('Failed to save meeting record', err);
+    }
+  }
+
+  showMeetingSummary(id, summary) {
+    const card = document.getElementById('meeting-summary');
+    if (!card) return;
+    const base = `/meetings/${encodeURIComponent(id)}/export`;
+    const section = (title, items) => {
+      const block = document.createElement('div');
+      const heading = document.createElement('strong');
+      heading.textContent = title;
+      const list = document.createElement('ul');
+      (items.length ? items : ['None captured']).forEach((item) => {
+        const li = document.createElement('li');
+        li.textContent = item;
+        list.appendChild(li);
+      });
+      block.append(heading, list);
+      return block;
+    };
+
+    const overview = document.createElement('p');
+    overview.textContent = summary.overview || '';
+    const links = document.createElement('div');
+    links.className = 'chip-row';
+    [['Markdown', 'md'], ['JSON', 'json']].forEach(([label, ext]) => {
+      const btn = document.createElement('button');
+      btn.className = 'btn-ghost';
+      btn.textContent = `Export ${label}`;
+      btn.addEventListener('click', () => this.downloadMeetingExport(`${base}.${ext}`, `${id}.${ext}`));
+      links.appendChild(btn);
+    });
+
+    const body = card.querySelector('.summary-body');
+    body.replaceChildren(
+      overview,
+      section('Needs', summary.needs || []),
+      section('Objections', summary.objections || []),
+      section('Next steps', summary.nextSteps || []),
+      links
+    );
+    card.hidden = false;
+  }
+
+  /**
+   * Downloads a meeting export. Exports are for hosts, so they're fetched
+   * with the host passcode rather than linked.
+   */
+  async downloadMeetingExport(url, fileName) {
+    try {
+      const res = await fetch(url, { headers: this.hostHeaders(), cache: 'no-store' });
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP ${res.status}`);
+      }
+      const href = URL.createObjectURL(await res.blob());
+      const a = document.createElement('a');
+      a.href = href;
+      a.download = fileName;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(href), 1000);
+    } catch (err) {
+      console.error('Failed to download the meeting export', err);
+      this.showCallError(`Couldn't download the export: ${err.message}`);
+    }
   }
 
+  /**
+   * Header for host-only routes, with the passcode typed for "Join as host".
+   * @returns {Object}
+   */
+  hostHeaders() {
+    const passcode = document.getElementById('host-passcode')?.value;
+    return passcode ? { 'X-Host-Passcode': passcode } : {};
+  }
 
-  appendMetaDiv(fromId, data) {
+  /**
+   * Adds an entry to the message log.
+   * @param {string} fromId - Sender session id, or 'me'.
+   * @param {Object} data - Message with `text` and `ts`.
+   * @param {string} [kind] - 'chat' for room messages, 'agent-turn' or
+   * 'agent-context' for text sent to the sales agent.
+   * @returns {HTMLElement|undefined} The entry element.
+   */
+  appendMetaDiv(fromId, data, kind = 'chat') {
     const log = document.getElementById('meta-log');
     if (!log) return;
 
+    // History and live delivery can overlap; show each message once
+    if (data.id) {
+      if (this.seenMessageIds.has(data.id)) return;
+      this.seenMessageIds.add(data.id);
+    }
+
     const div = document.createElement('div');
+    div.className = `meta-${kind}`;
     div.style.border = '1px solid #ccc';
     div.style.padding = '8px';
     div.style.margin = '6px 0';
     div.style.borderRadius = '6px';
     div.style.background = '#fff';
+    if (kind !== 'chat') div.style.borderLeft = '4px solid #8f4fff';
 
-    const who = fromId === 'me' ? 'You' : fromId;
+    const labels = { 'agent-turn': 'You → Agent', 'agent-context': 'You → Agent (context)' };
+    const who = labels[kind]
+      || (fromId === 'me' ? 'You' : data.senderName || this.participantName(fromId) || 'Guest');
     const time = new Date(data.ts || Date.now()).toLocaleTimeString();
 
     div.textContent = `[${time}] ${who}: ${data.text}`;
@@ -126,6 +984,18 @@ class DailyCallManager {
 
     // scroll into view for latest messages
     log.scrollTop = log.scrollHeight;
+    return div;
+  }
+
+  setMetaStatus(entry, text) {
+    if (!entry) return;
+    let status = entry.querySelector('.meta-status');
+    if (!status) {
+      status = document.createElement('span');
+      status.className = 'meta-status';
+      entry.appendChild(status);
+    }
+    status.textContent = ` — ${text}`;
   }
 
 
@@ -140,30 +1010,75 @@ class DailyCallManager {
    */
   handleJoin(event) {
     const tracks = event.participants.local.tracks;
+    // After a dropped call the meeting record and transcript carry on
+    const rejoined = this.lifecycle.state === 'reconnecting' && this.meetingLog.active;
 
     console.log(`Successfully joined: ${this.currentRoomUrl}`);
+    // Enables the call buttons
+    this.lifecycle.set('joined');
 
     // Update the participant count
     this.updateAndDisplayParticipantCount();
 
-    // Enable the leave button
-    document.getElementById('leave-btn').disabled = false;
+    // Start collecting the meeting record
+    if (!rejoined) {
+      this.meetingLog.reset(this.roomName(), this.currentRoomUrl, this.call.meetingSessionSummary?.()?.id || null);
+    }
+    this.meetingLog.participantSeen(event.participants.local, this.participantRole(event.participants.local));
+
+    // A new meeting starts a new transcript; the message log is reloaded
+    // from the room's history
+    if (!rejoined) {
+      this.transcript.clear();
+      this.latency.reset();
+      document.getElementById('meta-log').innerHTML = '';
+      this.seenMessageIds.clear();
+    }
+    this.loadMessageHistory();
+
+    // Hosts get moderation controls (roster buttons need to know too)
+    this.hostControls.load(this.roomName());
+    // The scorecard prompts with the playbook's questions
+    Promise.all([this.playbook.load(this.roomName()), this.scorecard.load(this.roomName())])
+      .then(() => {
+        this.scorecard.renderFields();
+        // The agent may have been ready before the playbook arrived
+        this.sendPlaybookToAgent();
+      });
+    this.roster.render();
 
-    // Enable the toggle camera and mic buttons and selectors
-    document.getElementById('toggle-camera').disabled = false;
-    document.getElementById('toggle-mic').disabled = false;
-    document.getElementById('camera-selector').disabled = false;
-    document.getElementById('mic-selector').disabled = false;
-    document.getElementById('share-screen').disabled = false;
+    // Sample network stats and share them with the room
+    this.diagnostics.reset();
+    this.diagnostics.start();
+
+    // Everyone in the room shares the saved canvas arrangement and assets
+    this.layout.load(this.roomName());
+    this.assets.load(this.roomName());
 
     // Set up the camera and mic selectors
     this.setupDeviceSelectors();
 
+    // Audio levels drive the speaking rings and the agent's indicator
+    this.call
+      .startRemoteParticipantsAudioLevelObserver(100)
+      .catch((e) => console.warn('Audio level observer unavailable', e));
+    this.call
+      .startLocalAudioLevelObserver(100)
+      .catch((e) => console.warn('Local audio level observer unavailable', e));
+
+    // Pick up a sales agent that is already in (or on its way to) the room
+    this.updateBotUi(this.botStatus);
+    this.refreshBotStatus();
+
     // Initialize the camera and microphone states and UI for the local
     // participant
     Object.entries(tracks).forEach(([trackType, trackInfo]) => {
       this.updateUiForDevicesState(trackType, trackInfo);
     });
+
+    // The local tile may have been updated while the lobby still had it.
+    // Last, so nothing it throws can skip the setup above.
+    this.handleParticipantJoinedOrUpdated({ participant: event.participants.local });
   }
 
   /**
@@ -177,22 +1092,34 @@ class DailyCallManager {
   handleLeave() {
     console.log('Successfully left the call');
 
-    // Update the join and leave button states
-    document.getElementById('leave-btn').disabled = true;
-    document.getElementById('join-btn').disabled = false;
-
-    // Disable the toggle camera and mic buttons
-    document.getElementById('toggle-camera').disabled = true;
-    document.getElementById('toggle-mic').disabled = true;
-    document.getElementById('share-screen').disabled = true;
+    // A dropped call we're about to rejoin keeps its meeting record going;
+    // otherwise this is the end of the meeting
+    const reconnecting = this.lifecycle.state === 'reconnecting';
+    if (this.meetingLog.active && !reconnecting) this.saveMeetingRecord();
+    if (this.lifecycle.state === 'joined' || this.lifecycle.state === 'joining') {
+      this.lifecycle.set('left');
+    }
 
-    // Reset and disable the camera and mic selectors
-    const cameraSelector = document.getElementById('camera-selector');
-    const micSelector = document.getElementById('mic-selector');
-    cameraSelector.selectedIndex = 0;
-    micSelector.selectedIndex = 0;
-    cameraSelector.disabled = true;
-    micSelector.disabled = true;
+    this.updateTranscriptionUi(false);
+
+    // The agent may stay in the room, but can't be managed from here anymore
+    this.updateBotUi('stopped');
+    this.agent.reset();
+    this.rtvi.reset();
+    this.agentBriefing = null;
+    this.roster.clear();
+    this.hostControls.reset();
+    this.playbook.reset();
+    this.scorecard.reset();
+    this.assets.clear();
+    this.tileControls.reset();
+    this.recording.reset();
+    this.diagnostics.stop();
+    this.messages.cancelPending();
+
+    // Reset the camera and mic selectors
+    document.getElementById('camera-selector').selectedIndex = 0;
+    document.getElementById('mic-selector').selectedIndex = 0;
 
     // Update the call state in the UI
     document.getElementById('camera-state').textContent = 'Camera: Off';
@@ -246,6 +1173,48 @@ class DailyCallManager {
    */
   handleError(e) {
     console.error('DAILY SENT AN ERROR!', e.error ? e.error : e.errorMsg);
+    this.diagnostics.handleError(e.errorMsg || (e.error && e.error.msg) || 'Call error');
+    // While joining, the rejected call.join() reports the failure instead
+    if (!this.joinInFlight) this.lifecycle.fail(e);
+  }
+
+  /**
+   * Handles camera-error events (blocked permissions, missing or busy
+   * devices). The call goes on, so this is shown without changing state.
+   * @param {Object} e - The camera-error event object.
+   */
+  handleCameraError(e) {
+    const { message } = CallLifecycle.describe(e);
+    console.warn('Camera error:', e.errorMsg);
+    this.diagnostics.handleError(message);
+    this.showCallError(message);
+  }
+
+  /**
+   * Handles network-connection events: Daily restores an interrupted
+   * signaling connection by itself, so the call shows as reconnecting until
+   * it's back.
+   * @param {Object} e - The network-connection event object.
+   */
+  handleNetworkConnection(e) {
+    this.diagnostics.handleConnection(e);
+    if (e.type !== 'signaling') return;
+    if (e.event === 'interrupted' && this.lifecycle.state === 'joined') {
+      this.lifecycle.set('reconnecting', 'Connection interrupted. Reconnecting…');
+    } else if (e.event === 'connected' && this.lifecycle.state === 'reconnecting'
+      && this.call.meetingState() === 'joined-meeting') {
+      this.lifecycle.set('joined');
+    }
+  }
+
+  /**
+   * Handles nonfatal-error events (e.g. a failed screen share or audio
+   * processor); the call carries on, but they belong in the diagnostics.
+   * @param {Object} e - The nonfatal-error event object.
+   */
+  handleNonfatalError(e) {
+    console.warn('Daily nonfatal error:', e.type, e.errorMsg);
+    this.diagnostics.handleError(`${e.type || 'error'}: ${e.errorMsg || 'unknown'}`);
   }
 
   /**
@@ -265,17 +1234,35 @@ class DailyCallManager {
     document.getElementById(`video-container-${participantId}-video`)?.remove();
     document.getElementById(`video-container-${participantId}-screenVideo`)?.remove();
 
+    if (this.rtvi.botId === participantId) {
+      this.rtvi.reset();
+      this.updateBotUi(this.botStatus);
+    }
+    this.agent.forget(participantId);
+    this.roster.remove(participantId);
+    this.recording.participantLeft(participantId);
+    this.diagnostics.forget(participantId);
+    this.meetingLog.participantLeft(participantId);
+
     // Update the participant count
     this.updateAndDisplayParticipantCount();
   }
 
 handleParticipantJoinedOrUpdated(event) {
   const { participant } = event;
+  // Before joining, only the lobby preview shows the local tracks
+  if (this.call.meetingState() !== 'joined-meeting') {
+    if (participant.local) this.lobby.refreshPreview();
+    return;
+  }
   const participantId = participant.session_id;
   const isLocal = participant.local;
   const tracks = participant.tracks;
+  const isBot = this.agent.isBot(participant);
 
   this.updateAndDisplayParticipantCount();
+  this.meetingLog.participantSeen(participant, this.participantRole(participant));
+  this.roster.update(participant, this.participantRole(participant));
   this.logEvent(`participant update: ${participantId} (local=${isLocal})`);
 
   // Avatar bubble if no video
@@ -287,16 +1274,18 @@ handleParticipantJoinedOrUpdated(event) {
       bubble = document.createElement('div');
       bubble.id = bubbleId;
       bubble.classList.add('video-container', 'avatar-bubble');
-      bubble.style.zIndex = "1000";
       bubble.style.position = "absolute";
+      bubble.dataset.layoutKey = this.layoutKey(participant, 'video');
+      bubble.style.setProperty('--participant-color', this.colorForParticipant(participantId));
       document.getElementById('canvas-participants').appendChild(bubble);
       this.placeInCanvas(bubble);
+      this.dragger.bringToFront(bubble);
     }
-    enableDragging(bubble);
+    this.dragger.attach(bubble, participant.user_name, { resizable: true });
     const label = bubble.querySelector('.avatar-label') || document.createElement('div');
     label.className = 'avatar-label';
     const name = participant.user_name || participant.user_id || participantId;
-    label.textContent = (name || '?')
+    label.textContent = isBot ? 'AI' : (name || '?')
       .split(/\s+/)
       .map((s) => s[0])
       .join('')
@@ -323,29 +1312,35 @@ handleParticipantJoinedOrUpdated(event) {
       container.classList.add('video-container');
       if (trackType === 'video') container.classList.add('webcam-container');
       else container.classList.add('screen-share-container');
-      container.style.zIndex = "1000";
       container.style.position = "absolute";
+      container.dataset.layoutKey = this.layoutKey(participant, trackType);
+      container.style.setProperty('--participant-color', this.colorForParticipant(participantId));
       parentEl.appendChild(container);
       this.placeInCanvas(container);
-      enableDragging(container);
+      this.dragger.bringToFront(container);
+      this.dragger.attach(container, participant.user_name, { resizable: true });
       const video = document.createElement('video');
       video.autoplay = true;
       video.playsInline = true;
       video.classList.add('video-element');
       container.appendChild(video);
     } else {
-      container.innerHTML = "";
-      container.className = "video-container";
+      // Updated in place, so the video element (which may be in
+      // picture-in-picture), pin/maximise state and overlays survive mutes
+      // and renames. An avatar bubble whose camera came on becomes a webcam
+      // tile.
+      container.classList.remove('avatar-bubble');
+      container.querySelector('.avatar-label')?.remove();
       if (trackType === 'video') container.classList.add('webcam-container');
       else container.classList.add('screen-share-container');
-      container.style.zIndex = "1000";
-      container.style.position = "absolute";
-      enableDragging(container);
-      const video = document.createElement('video');
-      video.autoplay = true;
-      video.playsInline = true;
-      video.classList.add('video-element');
-      container.appendChild(video);
+      this.dragger.attach(container, participant.user_name, { resizable: true });
+      if (!container.querySelector('video')) {
+        const video = document.createElement('video');
+        video.autoplay = true;
+        video.playsInline = true;
+        video.classList.add('video-element');
+        container.prepend(video);
+      }
     }
 
     const videoEl = container.querySelector('video');
@@ -356,6 +1351,27 @@ handleParticipantJoinedOrUpdated(event) {
     }
   });
 
+  // The sales agent gets a distinct tile with a listening/thinking/speaking
+  // indicator (re-applied as the avatar bubble and webcam tile swap)
+  if (isBot) {
+    const tile = document.getElementById(bubbleId);
+    if (tile) this.agent.decorate(tile, participant);
+    // Say hello over RTVI so the bot answers with bot-ready
+    if (this.rtvi.greetedBotId !== participantId) this.rtvi.sendClientReady(participantId);
+  } else {
+    // Name overlays, kept in step with renames
+    const displayName = `${participant.user_name || 'Guest'}${isLocal ? ' (you)' : ''}`;
+    this.setTileName(document.getElementById(bubbleId), displayName);
+    this.setTileName(
+      document.getElementById(`video-container-${participantId}-screenVideo`),
+      `${displayName}’s screen`
+    );
+  }
+
+  // Pin/maximise/picture-in-picture toolbar (added once, state re-applied)
+  this.tileControls.decorate(document.getElementById(bubbleId));
+  this.tileControls.decorate(document.getElementById(`video-container-${participantId}-screenVideo`));
+
   if (!document.getElementById(`audio-${participantId}`) && !isLocal) {
     this.createAudioElement(participantId);
   }
@@ -388,8 +1404,11 @@ handleParticipantJoinedOrUpdated(event) {
    */
   handleActiveSpeakerChange(event) {
     const pid = event.activeSpeaker.peerId;
-    document.getElementById('active-speaker').textContent = `Active Speaker: ${pid}`;
+    const name = this.participantName(pid) || 'Guest';
+    document.getElementById('active-speaker').textContent = `Active Speaker: ${name}`;
     this.logEvent(`active-speaker: ${pid}`);
+    this.meetingLog.activeSpeaker(pid);
+    this.arranger.setFocus(pid);
     this.highlightParticipant(pid);
   }
 
@@ -400,41 +1419,224 @@ handleParticipantJoinedOrUpdated(event) {
    */
   async joinRoom(roomUrl, joinToken = null) {
     if (!roomUrl) {
-      console.error('Room URL is required to join a room.');
+      this.showCallError('Enter a room URL to join.');
       return;
     }
+    if (this.lifecycle.active) return;
 
     this.currentRoomUrl = roomUrl;
+    this.pastedToken = joinToken;
+    this.lifecycle.set('joining');
 
-    const joinOptions = { url: roomUrl };
-    if (joinToken) {
-      joinOptions.token = joinToken;
-      console.log('Joining with a token.');
-    } else {
-      console.log('Joining without a token.');
+    try {
+      await this.connect();
+    } catch (e) {
+      console.error('Join failed:', e);
+      this.lifecycle.fail(e);
     }
+  }
 
+  /**
+   * Joins `currentRoomUrl`; used for the first join and for rejoining after
+   * a dropped call. Rejects if the join fails.
+   */
+  async connect() {
+    this.joinInFlight = true;
     try {
-      // Disable the join button to prevent multiple attempts to join
-      document.getElementById('join-btn').disabled = true;
+      // A call object that hit a fatal error can't join again
+      if (this.call.meetingState() === 'error') await this.recreateCallObject();
+
+      // Without a pasted token, get a fresh one from the server if it can
+      // mint (also on rejoin, in case the old one has expired)
+      let joinToken = this.pastedToken;
+      if (!joinToken && this.config.tokenMinting) {
+        try {
+          joinToken = await this.fetchMeetingToken(this.currentRoomUrl);
+        } catch (err) {
+          // A locked room gives guests no token; they knock instead
+          if (!(err.body && err.body.locked)) throw err;
+          this.logEvent('room is locked, knocking');
+        }
+      }
+
+      const joinOptions = { url: this.currentRoomUrl, ...this.lobby.joinOptions() };
+      if (joinToken) {
+        joinOptions.token = joinToken;
+        console.log('Joining with a token.');
+      } else {
+        console.log('Joining without a token.');
+      }
+
       // Join the room
       await this.call.join(joinOptions);
+      if (this.call.accessState().access?.level === 'lobby') this.knock();
+    } finally {
+      this.joinInFlight = false;
+    }
+  }
+
+  /**
+   * Replaces the Daily call object with a fresh one, re-binding our event
+   * listeners.
+   */
+  async recreateCallObject() {
+    await this.call.destroy();
+    this.call = Daily.createCallObject();
+    this.diagnostics.call = this.call;
+    this.lobby.call = this.call;
+    this.hostControls.call = this.call;
+    this.playbook.call = this.call;
+    this.scorecard.call = this.call;
+    this.recording.call = this.call;
+    this.setupEventListeners();
+  }
+
+  /**
+   * Reflects the call state in the sidebar: which buttons work, the status
+   * line and any error. Also closes out the meeting record if rejoining
+   * gave up.
+   * @param {string} state - See CallLifecycle.
+   * @param {string} previous - The state before.
+   * @param {string|null} error - Readable message, if any.
+   */
+  handleCallStateChange(state, previous, error) {
+    this.logEvent(`call: ${previous} -> ${state}${error ? ` (${error})` : ''}`);
+    const labels = {
+      idle: 'Not joined',
+      joining: 'Joining…',
+      joined: 'Connected',
+      reconnecting: 'Reconnecting…',
+      left: 'Left the call',
+      error: 'Failed',
+    };
+    const stateEl = document.getElementById('call-state');
+    stateEl.textContent = `Call: ${labels[state]}`;
+    stateEl.dataset.state = state;
+    this.showCallError(error);
+
+    const joined = state === 'joined';
+    document.getElementById('join-btn').disabled = this.lifecycle.active;
+    document.getElementById('leave-btn').disabled = !this.lifecycle.active;
+    document.getElementById('room-url').disabled = this.lifecycle.active;
+    document.getElementById('join-token').disabled = this.lifecycle.active;
+    ['toggle-camera', 'toggle-mic', 'share-screen', 'toggle-transcription', 'record-btn', 'share-asset-btn']
+      .forEach((id) => { document.getElementById(id).disabled = !joined; });
+    this.updateBotUi(this.botStatus);
+
+    // The lobby is up whenever we're not in (or getting into) a call
+    if (joined) this.lobby.hide();
+    else if (!this.lifecycle.active) this.lobby.show();
+    this.updateDeviceSelectorsUi();
+
+    if (state === 'error' && this.meetingLog.active) this.saveMeetingRecord();
+  }
+
+  /**
+   * Shows a readable call error under the join buttons, or hides it.
+   * @param {string|null} message
+   */
+  showCallError(message, kind = 'error') {
+    const el = document.getElementById('call-error');
+    el.textContent = message || '';
+    el.hidden = !message;
+    el.classList.toggle('call-info', kind === 'info');
+  }
+
+  /**
+   * Asks the host to let us in when we joined a knocking room without a
+   * token (e.g. because it's locked), and leaves if they say no.
+   */
+  async knock() {
+    this.showCallError('Waiting for the host to let you in…', 'info');
+    try {
+      const { granted } = await this.call.requestAccess({
+        name: this.lobby.displayName || 'Guest',
+        access: { level: 'full' },
+      });
+      if (granted) return;
+      this.showCallError("The host didn't let you in.");
+      await this.call.leave();
     } catch (e) {
-      console.error('Join failed:', e);
+      console.error('Access request failed', e);
+      this.showCallError(CallLifecycle.describe(e).message);
     }
   }
 
+  /**
+   * Handles access-state-updated events: clears the waiting notice once the
+   * host has let us in.
+   * @param {Object} event - The access-state-updated event object.
+   */
+  handleAccessStateUpdated(event) {
+    if (event.access && event.access.level === 'full') this.showCallError(null);
+  }
+
+  /**
+   * A distinct, stable colour per participant (hue from a hash of the id),
+   * used for their avatar bubble and speaking ring.
+   * @param {string} participantId - The participant's session id.
+   */
   colorForParticipant(participantId) {
     if (this.colors.has(participantId)) return this.colors.get(participantId);
-    // Use a consistent green-ish base for bubbles
-    const color = 'rgb(46, 160, 90)';
+    let hash = 0;
+    for (let i = 0; i < participantId.length; i++) {
+      hash = (Math.imul(hash, 31) + participantId.charCodeAt(i)) >>> 0;
+    }
+    const color = `hsl(${hash % 360}, 65%, 55%)`;
     this.colors.set(participantId, color);
     return color;
   }
 
+  /**
+   * The participant's main tile (webcam or avatar bubble), if it's on the
+   * canvas.
+   */
+  participantTile(participantId) {
+    return document.getElementById(`video-container-${participantId}-video`);
+  }
+
+  /**
+   * Shows a participant's name along the bottom of their tile.
+   * @param {HTMLElement|null} tile - Webcam, avatar or screen share tile.
+   * @param {string} text - The name to show.
+   */
+  setTileName(tile, text) {
+    if (!tile) return;
+    let label = tile.querySelector('.tile-name');
+    if (!label) {
+      label = document.createElement('div');
+      label.className = 'tile-name';
+      tile.appendChild(label);
+    }
+    label.textContent = text;
+  }
+
+  /**
+   * Marks the active speaker's tile and clears the mark from everyone else.
+   * @param {string} participantId - Session id of the active speaker.
+   */
   highlightParticipant(participantId) {
-    // Style update disabled for now; keep track of id for logs or future use.
     this.lastActiveId = participantId;
+    const tile = this.participantTile(participantId);
+    document.querySelectorAll('#canvas-participants .active-speaker').forEach((el) => {
+      if (el !== tile) el.classList.remove('active-speaker');
+    });
+    tile?.classList.add('active-speaker');
+  }
+
+  /**
+   * Drives the speaking rings: each tile's ring grows with its participant's
+   * audio level (0..1) and lights up above the speaking threshold.
+   * @param {Object} levels - session_id -> audio level.
+   */
+  updateSpeakingRings(levels) {
+    Object.entries(levels).forEach(([participantId, level]) => {
+      const tile = this.participantTile(participantId);
+      if (!tile) return;
+      // Speech rarely goes above ~0.3, so stretch the useful range
+      tile.style.setProperty('--audio-level', Math.min(1, level * 3).toFixed(2));
+      tile.classList.toggle('speaking', level > this.speakingThreshold);
+    });
   }
 
   logEvent(text) {
@@ -448,9 +1650,69 @@ handleParticipantJoinedOrUpdated(event) {
     }
   }
 
+  /**
+   * Shares slides, images and PDFs on the canvas, picked with the "Share a
+   * file" button or dropped onto the canvas.
+   */
+  setupAssetUpload() {
+    const input = document.getElementById('asset-file');
+    document.getElementById('share-asset-btn').addEventListener('click', () => input.click());
+    input.addEventListener('change', () => {
+      this.assets.upload([...input.files]);
+      input.value = '';
+    });
+
+    const canvas = document.getElementById('canvas');
+    const hasFiles = (e) => [...(e.dataTransfer?.types || [])].includes('Files');
+    canvas.addEventListener('dragover', (e) => {
+      if (!hasFiles(e) || this.call.meetingState() !== 'joined-meeting') return;
+      e.preventDefault();
+      canvas.classList.add('file-over');
+    });
+    canvas.addEventListener('dragleave', () => canvas.classList.remove('file-over'));
+    canvas.addEventListener('drop', (e) => {
+      canvas.classList.remove('file-over');
+      if (!hasFiles(e) || this.call.meetingState() !== 'joined-meeting') return;
+      e.preventDefault();
+      this.assets.upload([...e.dataTransfer.files]);
+    });
+  }
+
+  /**
+   * Switches the canvas between free placement and the automatic layouts.
+   * Tiles can only be dragged in free mode.
+   * @param {string} mode - 'free', 'grid', 'speaker', 'agent' or
+   * 'presentation'.
+   */
+  setLayoutMode(mode) {
+    this.arranger.setMode(mode);
+    this.dragger.setEnabled(mode === 'free');
+    document.getElementById('snap-to-grid').disabled = mode !== 'free';
+  }
+
+  /**
+   * Stable key for a participant's tile in the shared layout. Session ids
+   * change on every join, so use the token's user id where there is one.
+   * Names aren't unique (every unnamed guest is "Guest"), so without a
+   * token it's the session id.
+   * @param {Object} participant - Daily participant object.
+   * @param {string} trackType - 'video' (webcam or avatar) or 'screenVideo'.
+   */
+  layoutKey(participant, trackType) {
+    let who;
+    if (this.agent.isBot(participant)) who = 'agent';
+    else if (participant.user_id && participant.user_id !== participant.session_id) who = participant.user_id;
+    else who = participant.session_id;
+    return `${trackType}:${who}`;
+  }
+
   placeInCanvas(el) {
     const canvas = document.getElementById('canvas');
     if (!canvas || !el) return;
+    if (el.dataset.layoutKey) {
+      this.layout.place(el);
+      return;
+    }
     const rect = canvas.getBoundingClientRect();
     const width = el.offsetWidth || 180;
     const height = el.offsetHeight || 180;
@@ -563,9 +1825,11 @@ handleParticipantJoinedOrUpdated(event) {
    * @param {string} participantId - The ID of the participant.
    */
   updateVideoUi(track, participantId) {
-    let videoEl = document
-      .getElementById(`video-container-${participantId}`)
-      .querySelector('video.video-element');
+    // Avatar bubbles (no camera track yet) have no video element
+    const videoEl = document
+      .getElementById(`video-container-${participantId}-video`)
+      ?.querySelector('video.video-element');
+    if (!videoEl) return;
 
     switch (track.state) {
       case 'off':
@@ -639,8 +1903,8 @@ handleParticipantJoinedOrUpdated(event) {
 
   /**
    * Sets up device selectors for cameras and microphones by dynamically
-   * populating them with available devices and attaching event listeners to
-   * handle device selection changes.
+   * populating them with available devices, marking the ones in use. Called
+   * again whenever the device list changes.
    */
   async setupDeviceSelectors() {
     // Fetch current input devices settings and an array of available devices.
@@ -682,20 +1946,73 @@ handleParticipantJoinedOrUpdated(event) {
         selectors[device.kind].appendChild(option);
       }
     });
+    this.updateDeviceSelectorsUi();
+  }
 
-    // Listen for user device change requests.
-    Object.entries(selectors).forEach(([deviceKind, selector]) => {
+  /**
+   * Switches devices when the user picks one, in the lobby or in the call.
+   */
+  setupDeviceSelectorListeners() {
+    const selectors = {
+      videoDeviceId: document.getElementById('camera-selector'),
+      audioDeviceId: document.getElementById('mic-selector'),
+    };
+    Object.entries(selectors).forEach(([option, selector]) => {
       selector.addEventListener('change', async (e) => {
-        const deviceId = e.target.value;
-        const deviceOptions = {
-          [deviceKind === 'videoinput' ? 'videoDeviceId' : 'audioDeviceId']:
-            deviceId,
-        };
-        await this.call.setInputDevicesAsync(deviceOptions);
+        try {
+          await this.call.setInputDevicesAsync({ [option]: e.target.value });
+          this.lobby.refreshPreview();
+        } catch (err) {
+          console.error('Failed to switch device', err);
+          this.showCallError(CallLifecycle.describe(err).message);
+        }
       });
     });
   }
 
+  /**
+   * Device selectors work in the call and while the lobby previews.
+   */
+  updateDeviceSelectorsUi() {
+    const usable = this.lifecycle.state === 'joined' || this.lobby.previewing;
+    document.getElementById('camera-selector').disabled = !usable;
+    document.getElementById('mic-selector').disabled = !usable;
+  }
+
+  /**
+   * Starts the lobby's camera/mic preview and fills the device selectors.
+   */
+  async startPreview() {
+    try {
+      await this.lobby.start();
+      await this.setupDeviceSelectors();
+      this.showCallError(null);
+    } catch (e) {
+      console.error('Preview failed', e);
+      this.showCallError(CallLifecycle.describe(e).message);
+    }
+  }
+
+  /**
+   * Handles available-devices-updated events (a headset plugged in or
+   * removed): refreshes the selectors so the new device can be picked.
+   * Daily falls back to another device if the one in use disappears.
+   * @param {Object} event - The available-devices-updated event object.
+   */
+  async handleDevicesUpdated(event) {
+    const labels = (event.availableDevices || [])
+      .filter((d) => d.kind === 'audioinput' || d.kind === 'videoinput')
+      .map((d) => d.label || d.kind);
+    this.logEvent(`devices changed: ${labels.join(', ') || 'none'}`);
+    if (this.lifecycle.state !== 'joined' && !this.lobby.previewing) return;
+    try {
+      await this.setupDeviceSelectors();
+      this.lobby.refreshPreview();
+    } catch (e) {
+      console.warn('Failed to refresh devices', e);
+    }
+  }
+
   /**
    * Updates the UI with the current number of participants.
    * This method combines getting the participant count and updating the UI.
@@ -714,6 +2031,11 @@ handleParticipantJoinedOrUpdated(event) {
    * video elements.
    */
   async leave() {
+    // Leaving while waiting to rejoin just stops trying
+    if (this.lifecycle.state === 'reconnecting') {
+      this.lifecycle.set('left');
+      if (this.meetingLog.active) this.saveMeetingRecord();
+    }
     try {
       await this.call.leave();
     document.querySelectorAll('#canvas-participants video, audio').forEach((el) => {
@@ -748,47 +2070,4 @@ document.addEventListener('DOMContentLoaded', async () => {
   document.getElementById('leave-btn').addEventListener('click', function () {
     dailyCallManager.leave();
   });
-
-  // ✅ Hook up the toggle-screen-size button
-  const screenSizeToggle = document.getElementById('toggle-screen-size');
-  if (screenSizeToggle) {
-    screenSizeToggle.addEventListener('click', () => {
-      const sc = document.getElementById('screen-container');
-      sc?.classList.toggle('small');
-    });
-  }
-
-  // ✅ Enable the toggle when joined
-  const shareBtn = document.getElementById('share-screen');
-  const sizeBtn = document.getElementById('toggle-screen-size');
-  if (shareBtn && sizeBtn) {
-    shareBtn.addEventListener('click', () => {
-      setTimeout(() => {
-        sizeBtn.disabled = !shareBtn.textContent.includes('Stop');
-      }, 300);
-    });
-  }
 });
-
-
-  function enableDragging(container) {
-    let isDragging = false;
-    let offsetX, offsetY;
-
-    container.addEventListener('mousedown', (e) => {
-      isDragging = true;
-      offsetX = e.clientX - container.offsetLeft;
-      offsetY = e.clientY - container.offsetTop;
-      container.style.zIndex = 1000; // traz pra frente
-    });
-
-    document.addEventListener('mousemove', (e) => {
-      if (!isDragging) return;
-      container.style.left = `${e.clientX - offsetX}px`;
-      container.style.top = `${e.clientY - offsetY}px`;
-    });
-
-    document.addEventListener('mouseup', () => {
-      isDragging = false;
-    });
-  }
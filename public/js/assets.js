@@ -0,0 +1,306 @@
+/**
+ * Presentation assets on the canvas: product slides, images and PDFs that
+ * anyone in the call uploads to the server (routes/assets.js) and everyone
+ * sees in the same place. Assets are dragged and resized like tiles, and
+ * multi-page ones have previous/next slide controls.
+ *
+ * Changes go out as `asset-added`, `asset-update` and `asset-removed` app
+ * messages and are saved per room, so people joining later get the same
+ * assets, positions and slides. Positions are relative like the tile layout
+ * (x/y of the free space, w/h of the canvas) so they survive different
+ * window sizes.
+ */
+class SharedAssets {
+  /**
+   * @param {Object} options
+   * @param {HTMLElement} options.canvas - The `#canvas` element.
+   * @param {HTMLElement} options.tilesEl - Parent of the tiles; assets sit
+   * among them.
+   * @param {TileDragger} options.dragger - Moves and resizes the assets.
+   * @param {AppMessageRouter} options.messages - For syncing changes.
+   * @param {Function} options.onError - `(message) => void`.
+   */
+  constructor({ canvas, tilesEl, dragger, messages, onError }) {
+    this.canvas = canvas;
+    this.tilesEl = tilesEl;
+    this.dragger = dragger;
+    this.messages = messages;
+    this.onError = onError;
+    this.roomName = null;
+    this.assets = new Map(); // asset id -> asset
+    this.elements = new Map(); // asset id -> tile element
+
+    this.tilesEl.addEventListener('tile-moved', (e) => this.tileChanged(e.target));
+    this.tilesEl.addEventListener('tile-resized', (e) => this.tileChanged(e.target));
+    new ResizeObserver(() => this.elements.forEach((el, id) => this.place(el, this.assets.get(id))))
+      .observe(canvas);
+  }
+
+  /**
+   * Loads the room's assets after joining.
+   * @param {string} roomName - Daily room name.
+   */
+  async load(roomName) {
+    this.clear();
+    this.roomName = roomName;
+    if (!roomName) return;
+    try {
+      const res = await fetch(this.url(), { cache: 'no-store' });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const { assets } = await res.json();
+      assets.forEach((asset) => this.show(asset));
+    } catch (err) {
+      console.warn('Failed to load shared assets', err);
+    }
+  }
+
+  clear() {
+    this.roomName = null;
+    this.elements.forEach((el) => el.remove());
+    this.elements.clear();
+    this.assets.clear();
+  }
+
+  url(path = '') {
+    return `/rooms/${encodeURIComponent(this.roomName)}/assets${path}`;
+  }
+
+  /**
+   * Uploads files chosen or dropped by the user. Images picked together
+   * become one slide deck; each PDF is its own asset.
+   * @param {File[]} files
+   */
+  async upload(files) {
+    if (!this.roomName || !files.length) return;
+    const images = files.filter((f) => f.type.startsWith('image/'));
+    const pdfs = files.filter((f) => f.type === 'application/pdf');
+    if (images.length + pdfs.length < files.length) {
+      this.onError('Only images (PNG, JPEG, GIF, WebP) and PDFs can be shared on the canvas.');
+    }
+    try {
+      for (const pdf of pdfs) {
+        this.added(await this.send(this.url(`?name=${encodeURIComponent(pdf.name)}`), pdf));
+      }
+      if (images.length) {
+        const name = images.length > 1 ? `${images[0].name} (+${images.length - 1})` : images[0].name;
+        let asset = await this.send(this.url(`?name=${encodeURIComponent(name)}`), images[0]);
+        for (const image of images.slice(1)) {
+          asset = await this.send(this.url(`/${asset.id}/files`), image);
+        }
+        this.added(asset);
+      }
+    } catch (err) {
+      console.error('Failed to upload asset', err);
+      this.onError(`Couldn't share that file: ${err.message}`);
+    }
+  }
+
+  async send(url, file) {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': file.type },
+      body: file,
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || (res.status === 413 ? 'The file is too large' : `HTTP ${res.status}`));
+    return data;
+  }
+
+  added(asset) {
+    this.show(asset);
+    this.broadcast('asset-added', { assetId: asset.id });
+  }
+
+  /**
+   * Handles `asset-added` from another participant: fetches the new asset.
+   */
+  async handleRemoteAdded({ assetId }) {
+    if (!this.roomName || this.assets.has(assetId)) return;
+    try {
+      const res = await fetch(this.url(), { cache: 'no-store' });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const { assets } = await res.json();
+      const asset = assets.find((a) => a.id === assetId);
+      if (asset) this.show(asset);
+    } catch (err) {
+      console.warn('Failed to load shared asset', err);
+    }
+  }
+
+  /**
+   * Handles `asset-update` (moved, resized or another slide).
+   */
+  handleRemoteUpdate({ assetId, x, y, w, h, page }) {
+    const asset = this.assets.get(assetId);
+    if (!asset) return;
+    Object.assign(asset, { x, y, w, h, page: this.clampPage(asset, page) });
+    this.render(asset);
+  }
+
+  handleRemoteRemoved({ assetId }) {
+    this.elements.get(assetId)?.remove();
+    this.elements.delete(assetId);
+    this.assets.delete(assetId);
+  }
+
+  show(asset) {
+    this.assets.set(asset.id, asset);
+    let el = this.elements.get(asset.id);
+    if (!el) {
+      el = this.createTile(asset);
+      this.elements.set(asset.id, el);
+      this.tilesEl.appendChild(el);
+      this.dragger.attach(el, asset.name, { resizable: true });
+      this.dragger.bringToFront(el);
+    }
+    this.render(asset);
+  }
+
+  createTile(asset) {
+    const el = document.createElement('div');
+    el.className = 'asset-tile';
+    el.dataset.assetId = asset.id;
+
+    const bar = document.createElement('div');
+    bar.className = 'asset-bar';
+    const title = document.createElement('span');
+    title.className = 'asset-title';
+    title.textContent = asset.name;
+    const button = (label, text, onClick) => {
+      const btn = document.createElement('button');
+      btn.className = 'btn-ghost';
+      btn.dataset.noDrag = '';
+      btn.setAttribute('aria-label', label);
+      btn.textContent = text;
+      btn.addEventListener('click', onClick);
+      return btn;
+    };
+    const prev = button('Previous slide', '‹', () => this.turn(asset.id, -1));
+    prev.classList.add('asset-prev');
+    const pageLabel = document.createElement('span');
+    pageLabel.className = 'asset-page';
+    const next = button('Next slide', '›', () => this.turn(asset.id, 1));
+    next.classList.add('asset-next');
+    const close = button(`Remove ${asset.name}`, '×', () => this.remove(asset.id));
+    bar.append(title, prev, pageLabel, next, close);
+
+    const body = document.createElement('div');
+    body.className = 'asset-body';
+    el.append(bar, body);
+    return el;
+  }
+
+  render(asset) {
+    const el = this.elements.get(asset.id);
+    if (!el) return;
+    this.place(el, asset);
+
+    const body = el.querySelector('.asset-body');
+    if (asset.kind === 'pdf') {
+      // The browser's PDF viewer opens the page from the URL fragment; a new
+      // frame per page since changing only the fragment doesn't navigate it
+      const src = `${asset.files[0]}#page=${asset.page + 1}&toolbar=0&navpanes=0`;
+      if (body.firstChild?.getAttribute('src') !== src) {
+        const frame = document.createElement('iframe');
+        frame.src = src;
+        frame.title = asset.name;
+        body.replaceChildren(frame);
+      }
+    } else {
+      const img = body.querySelector('img') || body.appendChild(document.createElement('img'));
+      img.alt = `${asset.name}, slide ${asset.page + 1}`;
+      img.draggable = false;
+      if (img.getAttribute('src') !== asset.files[asset.page]) img.src = asset.files[asset.page];
+    }
+
+    const multi = asset.pages !== 1;
+    el.querySelector('.asset-prev').hidden = !multi;
+    el.querySelector('.asset-next').hidden = !multi;
+    el.querySelector('.asset-prev').disabled = asset.page <= 0;
+    el.querySelector('.asset-next').disabled = !!asset.pages && asset.page >= asset.pages - 1;
+    el.querySelector('.asset-page').textContent = multi ? `${asset.page + 1}${asset.pages ? ` / ${asset.pages}` : ''}` : '';
+  }
+
+  place(el, asset) {
+    if (!asset) return;
+    const rect = this.canvas.getBoundingClientRect();
+    const width = Math.max(this.dragger.minTileSize, asset.w * rect.width);
+    const height = Math.max(this.dragger.minTileSize, asset.h * rect.height);
+    el.style.width = `${Math.round(width)}px`;
+    el.style.height = `${Math.round(height)}px`;
+    el.style.left = `${Math.round(asset.x * Math.max(0, rect.width - width))}px`;
+    el.style.top = `${Math.round(asset.y * Math.max(0, rect.height - height))}px`;
+  }
+
+  clampPage(asset, page) {
+    const last = asset.pages ? asset.pages - 1 : Infinity;
+    return Math.min(last, Math.max(0, Math.round(page) || 0));
+  }
+
+  /**
+   * Shows the previous (-1) or next (1) slide for everyone.
+   */
+  turn(assetId, step) {
+    const asset = this.assets.get(assetId);
+    if (!asset) return;
+    const page = this.clampPage(asset, asset.page + step);
+    if (page === asset.page) return;
+    asset.page = page;
+    this.render(asset);
+    this.changed(asset);
+  }
+
+  /**
+   * Called when the local user drops or resizes an asset.
+   */
+  tileChanged(el) {
+    const asset = this.assets.get(el.dataset.assetId);
+    if (!asset) return;
+    const rect = this.canvas.getBoundingClientRect();
+    const clamp01 = (value) => Math.min(1, Math.max(0, value));
+    Object.assign(asset, {
+      w: clamp01(el.offsetWidth / Math.max(1, rect.width)),
+      h: clamp01(el.offsetHeight / Math.max(1, rect.height)),
+      x: clamp01(el.offsetLeft / Math.max(1, rect.width - el.offsetWidth)),
+      y: clamp01(el.offsetTop / Math.max(1, rect.height - el.offsetHeight)),
+    });
+    this.changed(asset);
+  }
+
+  async changed(asset) {
+    const { x, y, w, h, page } = asset;
+    this.broadcast('asset-update', { assetId: asset.id, x, y, w, h, page });
+    try {
+      const res = await fetch(this.url(`/${asset.id}`), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ x, y, w, h, page }),
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    } catch (err) {
+      console.warn('Failed to save shared asset', err);
+    }
+  }
+
+  async remove(assetId) {
+    const asset = this.assets.get(assetId);
+    if (!asset || !window.confirm(`Remove “${asset.name}” from the canvas for everyone?`)) return;
+    try {
+      const res = await fetch(this.url(`/${assetId}`), { method: 'DELETE' });
+      if (!res.ok && res.status !== 404) throw new Error(`HTTP ${res.status}`);
+      this.handleRemoteRemoved({ assetId });
+      this.broadcast('asset-removed', { assetId });
+    } catch (err) {
+      console.error('Failed to remove asset', err);
+      this.onError(`Couldn't remove that asset: ${err.message}`);
+    }
+  }
+
+  broadcast(type, payload) {
+    try {
+      this.messages.send(type, payload);
+    } catch (err) {
+      console.warn(`Failed to send ${type}`, err);
+    }
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * The call's lifecycle as an explicit state machine:
+ *
+ *   idle -> joining -> joined -> left
+ *              |         |
+ *              |         v
+ *              |    reconnecting -> joined | error | left
+ *              v
+ *            error -> joining
+ *
+ * `reconnecting` covers both a connection Daily is restoring by itself and
+ * a dropped call we rejoin with exponential backoff. Errors are turned into
+ * readable messages, and only transient ones (lost connection, network or
+ * server hiccups) are retried; an expired token or a full room is not going
+ * to get better by trying again.
+ */
+const CALL_TRANSITIONS = {
+  idle: ['joining'],
+  joining: ['joined', 'reconnecting', 'error', 'left'],
+  joined: ['reconnecting', 'left', 'error'],
+  reconnecting: ['joined', 'error', 'left'],
+  left: ['joining'],
+  error: ['joining', 'left'],
+};
+
+// Daily's fatal error types (the `error` event's `error.type`)
+const CALL_ERROR_MESSAGES = {
+  'exp-token': 'Your meeting token has expired. Get a fresh one and join again.',
+  'nbf-token': 'Your meeting token is not valid yet.',
+  'exp-room': 'This room has expired.',
+  'nbf-room': "This room isn't open yet.",
+  'no-room': "This room doesn't exist. Check the room URL.",
+  'meeting-full': 'The room is full.',
+  'not-allowed': "You're not allowed to join this room. It may need a meeting token.",
+  ejected: 'You were removed from the room.',
+  'end-of-life': 'This version of the Daily library is no longer supported. Reload the page.',
+  'connection-error': 'Lost the connection to the room.',
+};
+const TRANSIENT_CALL_ERRORS = ['connection-error'];
+
+// Camera/mic errors (the `camera-error` event's `error.type`)
+const DEVICE_ERROR_MESSAGES = {
+  permissions: 'Camera or microphone access is blocked. Allow it in the browser’s site settings.',
+  'not-found': 'No camera or microphone was found.',
+  'cam-in-use': 'Your camera is in use by another application.',
+  'mic-in-use': 'Your microphone is in use by another application.',
+  'cam-mic-in-use': 'Your camera and microphone are in use by another application.',
+  constraints: "Your camera or microphone doesn't support the requested settings.",
+  'undefined-mediadevices': 'This browser can’t access cameras or microphones (is the page served over HTTPS?).',
+};
+
+class CallLifecycle {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onChange - `(state, previous, error) => void`,
+   * where error is a readable message in the `error` and `reconnecting`
+   * states.
+   * @param {Function} options.rejoin - Called to retry after a dropped call;
+   * returns a promise that rejects if the attempt fails.
+   * @param {number} [options.maxRetries] - Rejoin attempts before giving up.
+   * @param {number} [options.baseDelay] - First retry delay in ms, doubled on
+   * each attempt.
+   * @param {number} [options.maxDelay] - Upper bound for the retry delay.
+   */
+  constructor({ onChange, rejoin, maxRetries = 5, baseDelay = 1000, maxDelay = 15000 }) {
+    this.onChange = onChange;
+    this.rejoin = rejoin;
+    this.maxRetries = maxRetries;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.state = 'idle';
+    this.error = null;
+    this.attempt = 0;
+    this.retryTimer = null;
+  }
+
+  /**
+   * True while we're in, or trying to get (back) into, a call.
+   */
+  get active() {
+    return ['joining', 'joined', 'reconnecting'].includes(this.state);
+  }
+
+  /**
+   * Moves to a new state, ignoring transitions the machine doesn't allow
+   * (e.g. Daily's `left-meeting` after we already gave up with an error).
+   * @returns {boolean} Whether the state changed.
+   */
+  set(state, error = null) {
+    if (state === this.state && error === this.error) return false;
+    if (state !== this.state && !CALL_TRANSITIONS[this.state].includes(state)) {
+      console.warn(`Ignoring call state change ${this.state} -> ${state}`);
+      return false;
+    }
+    const previous = this.state;
+    this.state = state;
+    this.error = error;
+    if (state !== 'reconnecting') this.cancelRetry();
+    if (state === 'joined' || state === 'left') this.attempt = 0;
+    this.onChange(state, previous, error);
+    return true;
+  }
+
+  /**
+   * Handles a failed join or a dropped call: retries transient failures
+   * with backoff, otherwise moves to `error`.
+   * @param {*} err - A Daily error event, an Error or a message.
+   * @returns {string} The resulting state.
+   */
+  fail(err) {
+    const { message, transient } = CallLifecycle.describe(err);
+    // A first join that fails is reported, not retried; only calls we were
+    // already in (or rejoining) reconnect on their own
+    const rejoining = this.state === 'joined' || this.state === 'reconnecting';
+    if (transient && rejoining && this.attempt < this.maxRetries) {
+      this.attempt += 1;
+      const delay = Math.min(this.maxDelay, this.baseDelay * 2 ** (this.attempt - 1));
+      this.set('reconnecting', `${message} Reconnecting in ${Math.round(delay / 1000)}s (attempt ${this.attempt} of ${this.maxRetries})…`);
+      this.cancelRetry();
+      this.retryTimer = setTimeout(() => {
+        this.retryTimer = null;
+        this.rejoin().catch((e) => this.fail(e));
+      }, delay);
+    } else {
+      this.set('error', message);
+    }
+    return this.state;
+  }
+
+  cancelRetry() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+  }
+
+  /**
+   * Turns anything that can go wrong while joining into a readable message.
+   * @param {*} err - A Daily `error`/`camera-error` event, an Error (e.g.
+   * from `call.join()` or the token route, with `status`) or a string.
+   * @returns {{ message: string, transient: boolean }}
+   */
+  static describe(err) {
+    const type = err && err.error && err.error.type;
+    if (type && CALL_ERROR_MESSAGES[type]) {
+      return { message: CALL_ERROR_MESSAGES[type], transient: TRANSIENT_CALL_ERRORS.includes(type) };
+    }
+    if (type && DEVICE_ERROR_MESSAGES[type]) {
+      return { message: DEVICE_ERROR_MESSAGES[type], transient: false };
+    }
+
+    const text = String((err && (err.errorMsg || err.message)) || err || 'Unknown error');
+    if (err && err.status >= 500) {
+      return { message: `The server couldn't get you into the room (${text}).`, transient: true };
+    }
+    if (err && err.status >= 400) return { message: text, transient: false };
+    if (/expired/i.test(text)) return { message: CALL_ERROR_MESSAGES['exp-token'], transient: false };
+    if (/full/i.test(text)) return { message: CALL_ERROR_MESSAGES['meeting-full'], transient: false };
+    if (/does not exist|doesn't exist|not found/i.test(text)) {
+      return { message: CALL_ERROR_MESSAGES['no-room'], transient: false };
+    }
+    if (/not allowed|permission|private/i.test(text)) {
+      return { message: CALL_ERROR_MESSAGES['not-allowed'], transient: false };
+    }
+    if (/network|connect|timed? ?out|failed to fetch|offline/i.test(text)) {
+      return { message: `Network problem: ${text}.`, transient: true };
+    }
+    return { message: text, transient: false };
+  }
+}
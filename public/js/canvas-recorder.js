@@ -0,0 +1,188 @@
+/**
+ * Local recording of the meeting canvas: the tiles and shared slides are
+ * composited onto an offscreen canvas (videos cover/contain-fitted like on
+ * screen, avatar bubbles drawn with their colour and initials), everyone's
+ * audio (the bot included) is mixed with Web Audio, and MediaRecorder turns
+ * the result into a WebM file.
+ */
+class CanvasRecorder {
+  /**
+   * @param {Object} options
+   * @param {HTMLElement} options.canvasEl - The `#canvas` element; its size
+   * is the recording's size.
+   * @param {HTMLElement} options.tilesEl - Parent of the tiles.
+   * @param {Function} options.audioTracks - Returns the audio
+   * MediaStreamTracks to mix; polled while recording so people who join
+   * later are heard.
+   * @param {number} [options.fps] - Frame rate of the recording.
+   */
+  constructor({ canvasEl, tilesEl, audioTracks, fps = 24 }) {
+    this.canvasEl = canvasEl;
+    this.tilesEl = tilesEl;
+    this.audioTracks = audioTracks;
+    this.fps = fps;
+    this.recorder = null;
+  }
+
+  get recording() {
+    return !!this.recorder;
+  }
+
+  start() {
+    if (this.recorder) return;
+    const rect = this.canvasEl.getBoundingClientRect();
+    this.output = document.createElement('canvas');
+    this.output.width = Math.max(2, Math.round(rect.width / 2) * 2);
+    this.output.height = Math.max(2, Math.round(rect.height / 2) * 2);
+    this.ctx = this.output.getContext('2d');
+
+    this.audio = new AudioContext();
+    this.mix = this.audio.createMediaStreamDestination();
+    this.sources = new Map(); // track -> MediaStreamAudioSourceNode
+    this.syncAudio();
+
+    const stream = new MediaStream([
+      ...this.output.captureStream(this.fps).getVideoTracks(),
+      ...this.mix.stream.getAudioTracks(),
+    ]);
+    const mimeType = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm']
+      .find((type) => MediaRecorder.isTypeSupported(type));
+    this.chunks = [];
+    this.recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    this.recorder.addEventListener('dataavailable', (e) => {
+      if (e.data.size) this.chunks.push(e.data);
+    });
+    this.recorder.start(1000);
+
+    // Timers rather than requestAnimationFrame, which stops in background
+    // tabs and would freeze the recording
+    this.drawTimer = setInterval(() => this.draw(), 1000 / this.fps);
+    this.audioTimer = setInterval(() => this.syncAudio(), 1000);
+  }
+
+  /**
+   * Stops recording.
+   * @returns {Promise<Blob|null>} The WebM recording.
+   */
+  stop() {
+    if (!this.recorder) return Promise.resolve(null);
+    const recorder = this.recorder;
+    this.recorder = null;
+    clearInterval(this.drawTimer);
+    clearInterval(this.audioTimer);
+    return new Promise((resolve) => {
+      recorder.addEventListener('stop', () => {
+        this.sources.forEach((node) => node.disconnect());
+        this.sources.clear();
+        this.audio.close();
+        resolve(new Blob(this.chunks, { type: recorder.mimeType || 'video/webm' }));
+      }, { once: true });
+      recorder.stop();
+    });
+  }
+
+  /**
+   * Connects new audio tracks to the mix and drops ended ones.
+   */
+  syncAudio() {
+    const tracks = this.audioTracks().filter((t) => t && t.readyState === 'live');
+    tracks.forEach((track) => {
+      if (this.sources.has(track)) return;
+      const node = this.audio.createMediaStreamSource(new MediaStream([track]));
+      node.connect(this.mix);
+      this.sources.set(track, node);
+    });
+    this.sources.forEach((node, track) => {
+      if (tracks.includes(track)) return;
+      node.disconnect();
+      this.sources.delete(track);
+    });
+  }
+
+  draw() {
+    const { ctx, output } = this;
+    const origin = this.canvasEl.getBoundingClientRect();
+    const scaleX = output.width / Math.max(1, origin.width);
+    const scaleY = output.height / Math.max(1, origin.height);
+    ctx.fillStyle = '#0b0f19';
+    ctx.fillRect(0, 0, output.width, output.height);
+
+    // Paint in stacking order so the canvas looks like the screen
+    [...this.tilesEl.querySelectorAll('.video-container, .asset-tile')]
+      .sort((a, b) => (Number(a.style.zIndex) || 0) - (Number(b.style.zIndex) || 0))
+      .forEach((tile) => {
+        const r = tile.getBoundingClientRect();
+        const box = {
+          x: (r.left - origin.left) * scaleX,
+          y: (r.top - origin.top) * scaleY,
+          w: r.width * scaleX,
+          h: r.height * scaleY,
+        };
+        if (box.w < 1 || box.h < 1) return;
+        this.drawTile(tile, box);
+      });
+  }
+
+  drawTile(tile, box) {
+    const { ctx } = this;
+    const style = getComputedStyle(tile);
+    const round = style.borderRadius === '50%';
+    ctx.save();
+    ctx.beginPath();
+    if (round) {
+      ctx.ellipse(box.x + box.w / 2, box.y + box.h / 2, box.w / 2, box.h / 2, 0, 0, Math.PI * 2);
+    } else {
+      ctx.roundRect(box.x, box.y, box.w, box.h, 12);
+    }
+    ctx.clip();
+
+    const video = tile.querySelector('video');
+    const image = tile.querySelector('.asset-body img');
+    if (tile.classList.contains('asset-tile')) {
+      // Shared slides; a PDF page lives in the browser's viewer, out of reach
+      ctx.fillStyle = '#fff';
+      ctx.fillRect(box.x, box.y, box.w, box.h);
+      if (image && image.complete && image.naturalWidth) {
+        const scale = Math.min(box.w / image.naturalWidth, box.h / image.naturalHeight);
+        const w = image.naturalWidth * scale;
+        const h = image.naturalHeight * scale;
+        ctx.drawImage(image, box.x + (box.w - w) / 2, box.y + (box.h - h) / 2, w, h);
+      }
+    } else if (video && video.readyState >= 2 && video.videoWidth) {
+      const contain = tile.classList.contains('screen-share-container');
+      const scale = (contain ? Math.min : Math.max)(box.w / video.videoWidth, box.h / video.videoHeight);
+      const w = video.videoWidth * scale;
+      const h = video.videoHeight * scale;
+      ctx.fillStyle = '#000';
+      ctx.fillRect(box.x, box.y, box.w, box.h);
+      ctx.drawImage(video, box.x + (box.w - w) / 2, box.y + (box.h - h) / 2, w, h);
+    } else {
+      // Avatar bubble or agent tile; gradients read as transparent
+      const bg = style.backgroundColor;
+      ctx.fillStyle = bg && bg !== 'rgba(0, 0, 0, 0)' ? bg : '#3b1f6e';
+      ctx.fillRect(box.x, box.y, box.w, box.h);
+      const initials = tile.querySelector('.avatar-label')?.textContent || '';
+      ctx.fillStyle = '#fff';
+      ctx.font = `700 ${Math.round(box.h / 6)}px sans-serif`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(initials, box.x + box.w / 2, box.y + box.h / 2);
+    }
+
+    const name = tile.querySelector('.tile-name, .agent-name, .asset-title')?.textContent;
+    if (name) {
+      const fontSize = Math.max(10, Math.round(box.h / 14));
+      const labelH = fontSize + 8;
+      const labelY = box.y + box.h - labelH - box.h * 0.07;
+      ctx.font = `${fontSize}px sans-serif`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      const width = ctx.measureText(name).width + 12;
+      ctx.fillStyle = 'rgba(0,0,0,0.55)';
+      ctx.fillRect(box.x + (box.w - width) / 2, labelY, width, labelH);
+      ctx.fillStyle = '#fff';
+      ctx.fillText(name, box.x + box.w / 2, labelY + labelH / 2);
+    }
+    ctx.restore();
+  }
+}
@@ -0,0 +1,217 @@
+/**
+ * Network diagnostics for the call. Every few seconds the local client
+ * samples Daily's `getNetworkStats()` and broadcasts a compact summary as a
+ * `net-stats` app message, so each participant's panel lists quality, packet
+ * loss, bitrate and round-trip time for everyone running this app (the bot
+ * doesn't report; its tile state tells whether it is the one stalling).
+ *
+ * Daily's `network-quality-change`, `network-connection` and
+ * `cpu-load-change` events, plus call errors, are kept as timestamped
+ * warnings, and the whole picture can be copied as JSON for bug reports.
+ */
+class NetworkDiagnostics {
+  /**
+   * @param {Object} options
+   * @param {Object} options.call - The Daily call object.
+   * @param {AppMessageRouter} options.messages - For sharing local stats.
+   * @param {HTMLElement} options.statsEl - Table body listing participants.
+   * @param {HTMLElement} options.warningsEl - List of warnings.
+   * @param {Function} options.resolveName - Maps a session id to a display
+   * name.
+   * @param {number} [options.interval] - Sampling interval in ms.
+   */
+  constructor({ call, messages, statsEl, warningsEl, resolveName, interval = 5000 }) {
+    this.call = call;
+    this.messages = messages;
+    this.statsEl = statsEl;
+    this.warningsEl = warningsEl;
+    this.resolveName = resolveName;
+    this.interval = interval;
+    this.samples = new Map(); // session_id -> latest summary
+    this.warnings = [];
+    this.maxWarnings = 50;
+    this.timer = null;
+  }
+
+  start() {
+    this.stop();
+    this.sample();
+    this.timer = setInterval(() => this.sample(), this.interval);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Clears everything for a new call.
+   */
+  reset() {
+    this.stop();
+    this.samples.clear();
+    this.warnings = [];
+    this.render();
+  }
+
+  forget(participantId) {
+    if (this.samples.delete(participantId)) this.render();
+  }
+
+  /**
+   * Reads the local network stats, shows them and shares them with the room.
+   */
+  async sample() {
+    let result;
+    try {
+      result = await this.call.getNetworkStats();
+    } catch (err) {
+      console.warn('Network stats unavailable', err);
+      return;
+    }
+    const local = this.call.participants().local;
+    if (!result || !local) return;
+
+    const latest = (result.stats && result.stats.latest) || {};
+    const loss = [latest.videoRecvPacketLoss, latest.audioRecvPacketLoss,
+      latest.videoSendPacketLoss, latest.audioSendPacketLoss]
+      .filter((v) => Number.isFinite(v));
+    const kbps = (bits) => (Number.isFinite(bits) ? Math.round(bits / 1000) : undefined);
+    const summary = {
+      threshold: result.threshold || 'good',
+      quality: Number.isFinite(result.quality) ? result.quality : undefined,
+      packetLoss: loss.length ? Math.max(...loss) : undefined,
+      sendKbps: kbps(latest.sendBitsPerSecond),
+      recvKbps: kbps(latest.recvBitsPerSecond),
+      rttMs: Number.isFinite(latest.networkRoundTripTime)
+        ? Math.round(latest.networkRoundTripTime * 1000)
+        : undefined,
+    };
+    this.record(local.session_id, summary);
+    try {
+      this.messages.send('net-stats', summary);
+    } catch (err) {
+      console.warn('Failed to share network stats', err);
+    }
+  }
+
+  /**
+   * Stores a participant's latest summary (local or from a `net-stats`
+   * message, whose envelope fields are dropped).
+   */
+  record(participantId, summary) {
+    const { threshold, quality, packetLoss, sendKbps, recvKbps, rttMs } = summary;
+    this.samples.set(participantId, {
+      threshold, quality, packetLoss, sendKbps, recvKbps, rttMs, at: Date.now(),
+    });
+    this.render();
+  }
+
+  /**
+   * Handles Daily's `network-quality-change` event for the local connection.
+   */
+  handleQualityChange(event) {
+    const { threshold, networkState, networkStateReasons } = event || {};
+    const state = networkState || threshold;
+    if (!state || state === 'good') {
+      this.warn('info', 'Network quality back to good');
+      return;
+    }
+    const reasons = (networkStateReasons || []).join(', ');
+    this.warn(state === 'bad' || state === 'very-low' ? 'error' : 'warning',
+      `Network quality ${state}${reasons ? ` (${reasons})` : ''}`);
+  }
+
+  /**
+   * Handles Daily's `network-connection` event (signaling, SFU or
+   * peer-to-peer connection interrupted or restored).
+   */
+  handleConnection(event) {
+    if (!event) return;
+    const interrupted = event.event === 'interrupted';
+    this.warn(interrupted ? 'error' : 'info', `${event.type || 'network'} connection ${event.event}`);
+  }
+
+  /**
+   * Handles Daily's `cpu-load-change` event: a busy browser degrades video
+   * just like a bad network does.
+   */
+  handleCpuLoad(event) {
+    if (!event) return;
+    const high = event.cpuLoadState === 'high';
+    const reason = event.cpuLoadStateReason ? ` (${event.cpuLoadStateReason})` : '';
+    this.warn(high ? 'warning' : 'info', `CPU load ${event.cpuLoadState}${reason}`);
+  }
+
+  /**
+   * Records a call error from Daily's `error` or `nonfatal-error` events.
+   */
+  handleError(message) {
+    this.warn('error', message);
+  }
+
+  warn(level, text) {
+    this.warnings.unshift({ level, text, at: Date.now() });
+    this.warnings.length = Math.min(this.warnings.length, this.maxWarnings);
+    this.render();
+  }
+
+  render() {
+    if (this.statsEl) {
+      this.statsEl.innerHTML = '';
+      this.samples.forEach((s, participantId) => {
+        const row = document.createElement('tr');
+        row.dataset.threshold = s.threshold;
+        const cells = [
+          this.resolveName(participantId),
+          s.threshold,
+          s.packetLoss !== undefined ? `${(s.packetLoss * 100).toFixed(1)}%` : '–',
+          s.sendKbps !== undefined ? `${s.sendKbps}/${s.recvKbps ?? '–'}` : '–',
+          s.rttMs !== undefined ? `${s.rttMs}ms` : '–',
+        ];
+        cells.forEach((text) => {
+          const cell = document.createElement('td');
+          cell.textContent = text;
+          row.appendChild(cell);
+        });
+        this.statsEl.appendChild(row);
+      });
+    }
+    if (this.warningsEl) {
+      this.warningsEl.innerHTML = '';
+      this.warnings.forEach((w) => {
+        const li = document.createElement('li');
+        li.className = `diag-${w.level}`;
+        li.textContent = `${new Date(w.at).toLocaleTimeString()} ${w.text}`;
+        this.warningsEl.appendChild(li);
+      });
+    }
+  }
+
+  /**
+   * Everything the panel knows, plus browser details, for a bug report.
+   */
+  toJSON() {
+    const participants = {};
+    this.samples.forEach((s, participantId) => {
+      participants[participantId] = { name: this.resolveName(participantId), ...s };
+    });
+    return {
+      capturedAt: new Date().toISOString(),
+      userAgent: navigator.userAgent,
+      meetingState: this.call.meetingState(),
+      participants,
+      warnings: this.warnings,
+    };
+  }
+
+  /**
+   * Copies the diagnostics to the clipboard as JSON.
+   * @returns {Promise<string>} The copied text.
+   */
+  async copy() {
+    const text = JSON.stringify(this.toJSON(), null, 2);
+    await navigator.clipboard.writeText(text);
+    return text;
+  }
+}
@@ -0,0 +1,257 @@
+/**
+ * Dragging for canvas tiles with pointer events (mouse, touch and pen),
+ * constrained to the canvas, with bring-to-front stacking, optional grid
+ * snapping and arrow-key moves for keyboard users. Resizable tiles also get
+ * a corner handle (and Alt+arrow keys).
+ *
+ * Listeners live on the tile itself (pointer capture keeps moves flowing
+ * while dragging), and are removed when the tile leaves the DOM. A drop or
+ * keyboard move dispatches a bubbling `tile-moved` event on the tile, a
+ * finished resize a bubbling `tile-resized` event. Locked tiles (pinned or
+ * maximised) stay put.
+ */
+class TileDragger {
+  /**
+   * @param {Object} options
+   * @param {HTMLElement} options.canvas - Element whose bounds constrain
+   * tiles (`#canvas`).
+   * @param {HTMLElement} options.tilesEl - Parent of the tiles.
+   * @param {number} [options.gridSize] - Grid step in px used when snapping.
+   */
+  constructor({ canvas, tilesEl, gridSize = 20 }) {
+    this.canvas = canvas;
+    this.tilesEl = tilesEl;
+    this.gridSize = gridSize;
+    this.snap = false;
+    this.enabled = true;
+    this.topZ = 10;
+    this.minTileSize = 80;
+    this.cleanups = new Map(); // tile -> detach function
+    this.handles = new Map(); // tile -> resize handle
+    this.locked = new WeakSet();
+
+    // Drop listeners of tiles that are removed from the canvas
+    new MutationObserver((mutations) => {
+      mutations.forEach((m) => m.removedNodes.forEach((node) => {
+        if (this.cleanups.has(node) && !node.isConnected) this.detach(node);
+      }));
+    }).observe(tilesEl, { childList: true });
+  }
+
+  /**
+   * Makes a tile draggable. Safe to call again for the same tile, e.g.
+   * after its contents were rebuilt.
+   * @param {HTMLElement} tile - The tile element.
+   * @param {string} [label] - Accessible name, e.g. the participant's name.
+   * @param {Object} [options]
+   * @param {boolean} [options.resizable] - Add a resize handle.
+   */
+  attach(tile, label, { resizable = false } = {}) {
+    if (label) {
+      const keys = resizable ? 'arrow keys to move, Alt+arrow keys to resize' : 'arrow keys to move';
+      tile.setAttribute('aria-label', `${label} (use ${keys})`);
+    }
+    if (this.cleanups.has(tile)) {
+      tile.classList.add('draggable-tile');
+      const handle = this.handles.get(tile);
+      if (handle && !handle.isConnected) tile.appendChild(handle);
+      return;
+    }
+
+    tile.tabIndex = 0;
+    tile.classList.add('draggable-tile');
+    let drag = null; // { pointerId, offsetX, offsetY, moved }
+
+    const onPointerDown = (e) => {
+      if (!this.canMove(tile) || e.button !== 0 || e.target.closest('[data-no-drag]')) return;
+      this.bringToFront(tile);
+      drag = {
+        pointerId: e.pointerId,
+        offsetX: e.clientX - tile.offsetLeft,
+        offsetY: e.clientY - tile.offsetTop,
+        moved: false,
+      };
+      tile.setPointerCapture(e.pointerId);
+      tile.classList.add('dragging');
+    };
+    const onPointerMove = (e) => {
+      if (!drag || e.pointerId !== drag.pointerId) return;
+      drag.moved = true;
+      this.moveTo(tile, e.clientX - drag.offsetX, e.clientY - drag.offsetY);
+    };
+    const onPointerUp = (e) => {
+      if (!drag || e.pointerId !== drag.pointerId) return;
+      const { moved } = drag;
+      drag = null;
+      tile.classList.remove('dragging');
+      if (tile.hasPointerCapture(e.pointerId)) tile.releasePointerCapture(e.pointerId);
+      if (moved) this.dropped(tile);
+    };
+    const onKeyDown = (e) => {
+      const steps = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+      const step = steps[e.key];
+      if (!this.canMove(tile) || !step || e.target !== tile) return;
+      e.preventDefault();
+      const distance = this.snap ? this.gridSize : e.shiftKey ? 50 : 10;
+      this.bringToFront(tile);
+      if (resizable && e.altKey) {
+        this.resizeTo(tile, tile.offsetWidth + step[0] * distance, tile.offsetHeight + step[1] * distance);
+        this.resized(tile);
+        return;
+      }
+      this.moveTo(tile, tile.offsetLeft + step[0] * distance, tile.offsetTop + step[1] * distance);
+      this.dropped(tile);
+    };
+
+    tile.addEventListener('pointerdown', onPointerDown);
+    tile.addEventListener('pointermove', onPointerMove);
+    tile.addEventListener('pointerup', onPointerUp);
+    tile.addEventListener('pointercancel', onPointerUp);
+    tile.addEventListener('keydown', onKeyDown);
+    const detachHandle = resizable ? this.addResizeHandle(tile) : () => {};
+
+    this.cleanups.set(tile, () => {
+      tile.removeEventListener('pointerdown', onPointerDown);
+      tile.removeEventListener('pointermove', onPointerMove);
+      tile.removeEventListener('pointerup', onPointerUp);
+      tile.removeEventListener('pointercancel', onPointerUp);
+      tile.removeEventListener('keydown', onKeyDown);
+      detachHandle();
+    });
+  }
+
+  /**
+   * Adds a bottom-right corner handle that resizes the tile.
+   * @returns {Function} Removes the handle.
+   */
+  addResizeHandle(tile) {
+    const handle = document.createElement('div');
+    handle.className = 'resize-handle';
+    handle.dataset.noDrag = '';
+    handle.setAttribute('aria-hidden', 'true');
+    tile.appendChild(handle);
+    this.handles.set(tile, handle);
+    let resize = null; // { pointerId, startX, startY, width, height, resized }
+
+    const onPointerDown = (e) => {
+      if (!this.canMove(tile) || e.button !== 0) return;
+      e.stopPropagation();
+      this.bringToFront(tile);
+      resize = {
+        pointerId: e.pointerId,
+        startX: e.clientX,
+        startY: e.clientY,
+        width: tile.offsetWidth,
+        height: tile.offsetHeight,
+        resized: false,
+      };
+      handle.setPointerCapture(e.pointerId);
+      tile.classList.add('resizing');
+    };
+    const onPointerMove = (e) => {
+      if (!resize || e.pointerId !== resize.pointerId) return;
+      resize.resized = true;
+      this.resizeTo(tile, resize.width + e.clientX - resize.startX, resize.height + e.clientY - resize.startY);
+    };
+    const onPointerUp = (e) => {
+      if (!resize || e.pointerId !== resize.pointerId) return;
+      const { resized } = resize;
+      resize = null;
+      tile.classList.remove('resizing');
+      if (handle.hasPointerCapture(e.pointerId)) handle.releasePointerCapture(e.pointerId);
+      if (resized) this.resized(tile);
+    };
+
+    handle.addEventListener('pointerdown', onPointerDown);
+    handle.addEventListener('pointermove', onPointerMove);
+    handle.addEventListener('pointerup', onPointerUp);
+    handle.addEventListener('pointercancel', onPointerUp);
+    return () => {
+      handle.remove();
+      this.handles.delete(tile);
+    };
+  }
+
+  detach(tile) {
+    const cleanup = this.cleanups.get(tile);
+    if (!cleanup) return;
+    cleanup();
+    this.cleanups.delete(tile);
+  }
+
+  /**
+   * Stacks a tile above all the others.
+   */
+  bringToFront(tile) {
+    this.topZ += 1;
+    tile.style.zIndex = String(this.topZ);
+  }
+
+  /**
+   * Stops a tile from being moved or resized (or allows it again).
+   */
+  setLocked(tile, locked) {
+    if (locked) this.locked.add(tile);
+    else this.locked.delete(tile);
+  }
+
+  canMove(tile) {
+    return this.enabled && !this.locked.has(tile);
+  }
+
+  setSnap(enabled) {
+    this.snap = !!enabled;
+  }
+
+  /**
+   * Turns dragging on or off, e.g. while an automatic layout places tiles.
+   */
+  setEnabled(enabled) {
+    this.enabled = !!enabled;
+    this.tilesEl.classList.toggle('drag-disabled', !this.enabled);
+  }
+
+  /**
+   * Moves a tile to a position in canvas coordinates, clamped so the whole
+   * tile stays on the canvas.
+   */
+  moveTo(tile, left, top) {
+    const rect = this.canvas.getBoundingClientRect();
+    const maxLeft = Math.max(0, rect.width - tile.offsetWidth);
+    const maxTop = Math.max(0, rect.height - tile.offsetHeight);
+    tile.style.left = `${Math.round(Math.min(maxLeft, Math.max(0, left)))}px`;
+    tile.style.top = `${Math.round(Math.min(maxTop, Math.max(0, top)))}px`;
+  }
+
+  /**
+   * Resizes a tile, keeping it at least `minTileSize` px and on the canvas.
+   * Round tiles (webcams, avatars) stay round.
+   */
+  resizeTo(tile, width, height) {
+    const rect = this.canvas.getBoundingClientRect();
+    let maxWidth = Math.max(this.minTileSize, rect.width - tile.offsetLeft);
+    let maxHeight = Math.max(this.minTileSize, rect.height - tile.offsetTop);
+    if (getComputedStyle(tile).borderRadius === '50%') {
+      // Follow whichever side the user changed most
+      const size = Math.abs(width - tile.offsetWidth) >= Math.abs(height - tile.offsetHeight) ? width : height;
+      width = size;
+      height = size;
+      maxWidth = Math.min(maxWidth, maxHeight);
+      maxHeight = maxWidth;
+    }
+    tile.style.width = `${Math.round(Math.min(maxWidth, Math.max(this.minTileSize, width)))}px`;
+    tile.style.height = `${Math.round(Math.min(maxHeight, Math.max(this.minTileSize, height)))}px`;
+  }
+
+  resized(tile) {
+    tile.dispatchEvent(new CustomEvent('tile-resized', { bubbles: true }));
+  }
+
+  dropped(tile) {
+    if (this.snap) {
+      const snapTo = (value) => Math.round(value / this.gridSize) * this.gridSize;
+      this.moveTo(tile, snapTo(tile.offsetLeft), snapTo(tile.offsetTop));
+    }
+    tile.dispatchEvent(new CustomEvent('tile-moved', { bubbles: true }));
+  }
+}
@@ -0,0 +1,213 @@
+/**
+ * Response latency of the sales agent, per conversational turn: the time
+ * from a person stopping speaking to the bot starting to speak.
+ *
+ * Both ends come from audio levels first (what people actually hear), with
+ * the bot's RTVI `user-stopped-speaking` / `bot-started-speaking` messages as
+ * a fallback. Pipecat's `metrics` messages (TTFB and processing time per
+ * processor, e.g. the LLM and TTS) are attached to the turn they belong to,
+ * so a slow turn can be pinned on a service.
+ *
+ * The Agent Latency card shows rolling averages and a per-turn chart, and the
+ * turns can be exported as JSON or CSV.
+ */
+class LatencyMeter {
+  /**
+   * @param {Object} options
+   * @param {HTMLElement} options.statsEl - Summary line.
+   * @param {SVGElement} options.chartEl - Bar chart, one bar per turn.
+   * @param {Function} options.isBot - `(sessionId) => boolean`.
+   * @param {Function} [options.onTurn] - Called with each finished turn.
+   * @param {number} [options.threshold] - Audio level that counts as
+   * speech.
+   * @param {number} [options.window] - Turns in the rolling average.
+   */
+  constructor({ statsEl, chartEl, isBot, onTurn = () => {}, threshold = 0.05, window = 5 }) {
+    this.statsEl = statsEl;
+    this.chartEl = chartEl;
+    this.isBot = isBot;
+    this.onTurn = onTurn;
+    this.threshold = threshold;
+    this.window = window;
+    // The bot's level dips between words; only this much quiet ends its turn
+    this.botPauseMs = 700;
+    // Metrics arriving this soon after the bot starts still belong to the turn
+    this.lateMetricsMs = 1500;
+    this.reset();
+  }
+
+  reset() {
+    this.turns = [];
+    this.turnOpen = false; // someone spoke since the bot last started
+    this.userStoppedAt = null;
+    this.userSource = null;
+    this.botLastLoudAt = 0;
+    this.metrics = { ttfb: {}, processing: {} };
+    this.render();
+  }
+
+  /**
+   * Feeds audio levels (local and remote, 0..1 by session id).
+   */
+  handleAudioLevels(levels, now = Date.now()) {
+    let human = false;
+    let bot = false;
+    Object.entries(levels).forEach(([id, level]) => {
+      if (level <= this.threshold) return;
+      if (this.isBot(id)) bot = true;
+      else human = true;
+    });
+
+    if (human) {
+      // Last moment of speech so far; the turn ends wherever this stops
+      this.turnOpen = true;
+      this.userStoppedAt = now;
+      this.userSource = 'audio';
+    }
+    if (bot) {
+      if (now - this.botLastLoudAt > this.botPauseMs) this.botStarted(now, 'audio');
+      this.botLastLoudAt = now;
+    }
+  }
+
+  /**
+   * Feeds the bot's RTVI messages.
+   */
+  handleRtviMessage(message, now = Date.now()) {
+    const data = message.data || {};
+    switch (message.type) {
+      case 'user-stopped-speaking':
+        // VAD reports this after its silence window; audio levels saw the
+        // real end of speech if they saw any
+        if (!this.turnOpen || this.userSource !== 'audio') {
+          this.turnOpen = true;
+          this.userStoppedAt = now;
+          this.userSource = 'rtvi';
+        }
+        break;
+      case 'bot-started-speaking':
+        this.botStarted(now, 'rtvi');
+        break;
+      case 'metrics':
+        this.addMetrics(data, now);
+        break;
+      default:
+        break;
+    }
+  }
+
+  botStarted(now, source) {
+    if (!this.turnOpen || !this.userStoppedAt) return;
+    this.turnOpen = false;
+    const latencyMs = now - this.userStoppedAt;
+    if (latencyMs <= 0) return;
+    const turn = {
+      n: this.turns.length + 1,
+      at: now,
+      latencyMs,
+      source: source === this.userSource ? source : `${this.userSource}/${source}`,
+      ttfb: this.metrics.ttfb,
+      processing: this.metrics.processing,
+    };
+    this.metrics = { ttfb: {}, processing: {} };
+    this.turns.push(turn);
+    this.onTurn(turn);
+    this.render();
+  }
+
+  /**
+   * Records Pipecat metrics (`{ ttfb: [{ processor, value }], processing:
+   * [...] }`, values in seconds) against the turn in progress, or the one
+   * that just started if they arrive right after.
+   */
+  addMetrics(data, now) {
+    const last = this.turns[this.turns.length - 1];
+    const target = last && !this.turnOpen && now - last.at < this.lateMetricsMs ? last : this.metrics;
+    ['ttfb', 'processing'].forEach((kind) => {
+      (data[kind] || []).forEach((m) => {
+        if (m && m.processor && Number.isFinite(m.value)) {
+          target[kind][m.processor] = Math.round(m.value * 1000);
+        }
+      });
+    });
+    if (target === last) this.render();
+  }
+
+  average(turns) {
+    if (!turns.length) return null;
+    return Math.round(turns.reduce((sum, t) => sum + t.latencyMs, 0) / turns.length);
+  }
+
+  render() {
+    if (this.statsEl) {
+      const last = this.turns[this.turns.length - 1];
+      const ms = (value) => (value === null ? '–' : `${value}ms`);
+      this.statsEl.textContent = last
+        ? `Last ${ms(last.latencyMs)} · avg of last ${this.window} ${ms(this.average(this.turns.slice(-this.window)))}`
+          + ` · meeting avg ${ms(this.average(this.turns))} · ${this.turns.length} turns`
+        : 'No agent turns yet';
+    }
+    if (this.chartEl) this.renderChart();
+  }
+
+  /**
+   * Bars per turn (green under 1s, amber under 2s, red above) with the
+   * rolling average as a line.
+   */
+  renderChart() {
+    const svgNs = 'http://www.w3.org/2000/svg';
+    const width = 300;
+    const height = 90;
+    const turns = this.turns.slice(-60);
+    this.chartEl.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    this.chartEl.innerHTML = '';
+    if (!turns.length) return;
+
+    const max = Math.max(2000, ...turns.map((t) => t.latencyMs));
+    const barW = width / turns.length;
+    const y = (value) => height - (value / max) * (height - 4);
+    turns.forEach((turn, i) => {
+      const bar = document.createElementNS(svgNs, 'rect');
+      bar.setAttribute('x', (i * barW + barW * 0.15).toFixed(1));
+      bar.setAttribute('width', Math.max(1, barW * 0.7).toFixed(1));
+      bar.setAttribute('y', y(turn.latencyMs).toFixed(1));
+      bar.setAttribute('height', (height - y(turn.latencyMs)).toFixed(1));
+      bar.setAttribute('fill', turn.latencyMs < 1000 ? '#6bffb5' : turn.latencyMs < 2000 ? '#f5b942' : '#ff6b6b');
+      const title = document.createElementNS(svgNs, 'title');
+      const parts = Object.entries(turn.ttfb).map(([processor, value]) => `${processor} TTFB ${value}ms`);
+      title.textContent = [`Turn ${turn.n}: ${turn.latencyMs}ms`, ...parts].join('\n');
+      bar.appendChild(title);
+      this.chartEl.appendChild(bar);
+    });
+
+    // Rolling average line
+    const points = turns.map((turn, i) => {
+      const upto = this.turns.indexOf(turn) + 1;
+      const avg = this.average(this.turns.slice(Math.max(0, upto - this.window), upto));
+      return `${(i * barW + barW / 2).toFixed(1)},${y(avg).toFixed(1)}`;
+    });
+    const line = document.createElementNS(svgNs, 'polyline');
+    line.setAttribute('points', points.join(' '));
+    line.setAttribute('fill', 'none');
+    line.setAttribute('stroke', '#4f8bff');
+    line.setAttribute('stroke-width', '1.5');
+    this.chartEl.appendChild(line);
+  }
+
+  toJSON() {
+    return {
+      turns: this.turns,
+      averageMs: this.average(this.turns),
+      rollingAverageMs: this.average(this.turns.slice(-this.window)),
+    };
+  }
+
+  toCsv() {
+    const processors = [...new Set(this.turns.flatMap((t) => Object.keys(t.ttfb)))];
+    const rows = [['turn', 'at', 'latency_ms', 'source', ...processors.map((p) => `ttfb_ms_${p}`)]];
+    this.turns.forEach((t) => {
+      rows.push([t.n, new Date(t.at).toISOString(), t.latencyMs, t.source, ...processors.map((p) => t.ttfb[p] ?? '')]);
+    });
+    return rows.map((row) => row.map((cell) => `"${String(cell).replace(/"/g, '""')}"`).join(',')).join('\n');
+  }
+}
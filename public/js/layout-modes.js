@@ -0,0 +1,188 @@
+/**
+ * Automatic arrangements for the meeting canvas:
+ * - free: tiles stay where they were dragged (the shared CanvasLayout);
+ * - grid: equal cells for everyone;
+ * - speaker: the active speaker large, the others in a filmstrip;
+ * - agent: like speaker, but the sales agent is always the large tile;
+ * - presentation: the screen share large, the others in a filmstrip below.
+ *
+ * A pinned tile (see TileControls) is the large tile in the speaker, agent
+ * and presentation modes.
+ *
+ * Arranged modes re-flow when the canvas resizes and when tiles are added or
+ * removed. The mode is exposed as `data-layout-mode` on the tiles element so
+ * styles and the free layout can tell whether tiles are arranged.
+ */
+class CanvasArranger {
+  /**
+   * @param {Object} options
+   * @param {HTMLElement} options.canvas - The `#canvas` element.
+   * @param {HTMLElement} options.tilesEl - Parent of the tiles.
+   * @param {Function} options.onFree - Called when switching back to free
+   * mode so tiles can return to their saved positions.
+   */
+  constructor({ canvas, tilesEl, onFree }) {
+    this.canvas = canvas;
+    this.tilesEl = tilesEl;
+    this.onFree = onFree;
+    this.mode = 'free';
+    this.focusId = null; // participant id of the active speaker
+    this.gap = 12;
+    this.tilesEl.dataset.layoutMode = this.mode;
+
+    this.scheduled = false;
+    const schedule = () => this.scheduleReflow();
+    new ResizeObserver(schedule).observe(canvas);
+    new MutationObserver(schedule).observe(tilesEl, { childList: true });
+  }
+
+  get arranged() {
+    return this.mode !== 'free';
+  }
+
+  /**
+   * @param {string} mode - 'free', 'grid', 'speaker', 'agent' or
+   * 'presentation'.
+   */
+  setMode(mode) {
+    this.mode = mode;
+    this.tilesEl.dataset.layoutMode = mode;
+    if (mode === 'free') {
+      this.tiles().forEach((tile) => {
+        tile.style.width = '';
+        tile.style.height = '';
+      });
+      this.onFree();
+    } else {
+      this.reflow();
+    }
+  }
+
+  /**
+   * Records the active speaker; speaker mode re-flows around them.
+   */
+  setFocus(participantId) {
+    if (this.focusId === participantId) return;
+    this.focusId = participantId;
+    if (this.mode === 'speaker') this.scheduleReflow();
+  }
+
+  scheduleReflow() {
+    if (!this.arranged || this.scheduled) return;
+    this.scheduled = true;
+    requestAnimationFrame(() => {
+      this.scheduled = false;
+      this.reflow();
+    });
+  }
+
+  /**
+   * Tiles in a stable order (by layout key) so every participant sees the
+   * same arrangement.
+   */
+  tiles() {
+    return [...this.tilesEl.querySelectorAll('.video-container')]
+      .sort((a, b) => (a.dataset.layoutKey || a.id).localeCompare(b.dataset.layoutKey || b.id));
+  }
+
+  reflow() {
+    if (!this.arranged) return;
+    const tiles = this.tiles();
+    if (!tiles.length) return;
+    const rect = this.canvas.getBoundingClientRect();
+    const area = { x: this.gap, y: this.gap, w: rect.width - 2 * this.gap, h: rect.height - 2 * this.gap };
+
+    const main = this.mainTile(tiles);
+    if (!main || tiles.length === 1) {
+      this.layoutGrid(main && tiles.length === 1 ? [main] : tiles, area);
+      return;
+    }
+
+    const others = tiles.filter((t) => t !== main);
+    if (this.mode === 'presentation') {
+      // Filmstrip along the bottom
+      const stripH = Math.min(160, area.h * 0.25);
+      this.fit(main, { x: area.x, y: area.y, w: area.w, h: area.h - stripH - this.gap });
+      this.layoutStrip(others, { x: area.x, y: area.y + area.h - stripH, w: area.w, h: stripH }, 'row');
+    } else {
+      // Filmstrip down the right side
+      const stripW = Math.min(200, area.w * 0.25);
+      this.fit(main, { x: area.x, y: area.y, w: area.w - stripW - this.gap, h: area.h });
+      this.layoutStrip(others, { x: area.x + area.w - stripW, y: area.y, w: stripW, h: area.h }, 'column');
+    }
+  }
+
+  /**
+   * Picks the large tile for the current mode, or null for grid.
+   */
+  mainTile(tiles) {
+    if (this.mode === 'grid') return null;
+    const pinned = tiles.find((t) => t.classList.contains('pinned'));
+    if (pinned) return pinned;
+    const byId = (suffix) => tiles.find((t) => t.id.endsWith(suffix));
+    switch (this.mode) {
+      case 'presentation':
+        return byId('-screenVideo') || this.speakerTile(tiles);
+      case 'agent':
+        return tiles.find((t) => t.classList.contains('agent-tile')) || this.speakerTile(tiles);
+      case 'speaker':
+        return this.speakerTile(tiles);
+      default:
+        return null;
+    }
+  }
+
+  speakerTile(tiles) {
+    if (this.focusId) {
+      const tile = tiles.find((t) => t.id === `video-container-${this.focusId}-video`);
+      if (tile) return tile;
+    }
+    return tiles.find((t) => t.classList.contains('agent-tile')) || tiles[0];
+  }
+
+  layoutGrid(tiles, area) {
+    const cols = Math.ceil(Math.sqrt(tiles.length * (area.w / Math.max(area.h, 1))));
+    const columns = Math.max(1, Math.min(tiles.length, cols));
+    const rows = Math.ceil(tiles.length / columns);
+    const cellW = (area.w - (columns - 1) * this.gap) / columns;
+    const cellH = (area.h - (rows - 1) * this.gap) / rows;
+    tiles.forEach((tile, i) => {
+      const col = i % columns;
+      const row = Math.floor(i / columns);
+      this.fit(tile, {
+        x: area.x + col * (cellW + this.gap),
+        y: area.y + row * (cellH + this.gap),
+        w: cellW,
+        h: cellH,
+      });
+    });
+  }
+
+  layoutStrip(tiles, area, direction) {
+    const count = Math.max(tiles.length, 1);
+    tiles.forEach((tile, i) => {
+      if (direction === 'row') {
+        const w = (area.w - (count - 1) * this.gap) / count;
+        this.fit(tile, { x: area.x + i * (w + this.gap), y: area.y, w, h: area.h });
+      } else {
+        const h = (area.h - (count - 1) * this.gap) / count;
+        this.fit(tile, { x: area.x, y: area.y + i * (h + this.gap), w: area.w, h });
+      }
+    });
+  }
+
+  /**
+   * Sizes a tile into a cell, centred. Round tiles (webcams, avatars) stay
+   * square; screen shares and the agent tile use the whole cell.
+   */
+  fit(tile, cell) {
+    const square = !tile.classList.contains('screen-share-container')
+      && !tile.classList.contains('agent-tile');
+    const w = square ? Math.min(cell.w, cell.h) : cell.w;
+    const h = square ? w : cell.h;
+    tile.style.width = `${Math.max(0, Math.floor(w))}px`;
+    tile.style.height = `${Math.max(0, Math.floor(h))}px`;
+    tile.style.left = `${Math.round(cell.x + (cell.w - w) / 2)}px`;
+    tile.style.top = `${Math.round(cell.y + (cell.h - h) / 2)}px`;
+  }
+}
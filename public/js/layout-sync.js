@@ -0,0 +1,181 @@
+/**
+ * Shared canvas arrangement. Tile positions are kept relative to the canvas
+ * size (0..1) under a stable key per tile (`data-layout-key`, e.g.
+ * "video:<user>"), broadcast to the other participants as `layout-move` app
+ * messages when a tile is dropped or resized, and saved per room on the
+ * server so the arrangement survives reloads and rejoins. Resized tiles also
+ * carry their size (w/h relative to the canvas).
+ *
+ * Tiles without a saved position get one derived from their key, so every
+ * participant places them in the same spot.
+ */
+class CanvasLayout {
+  /**
+   * @param {Object} options
+   * @param {HTMLElement} options.canvas - The `#canvas` element.
+   * @param {HTMLElement} options.tilesEl - The `#canvas-participants`
+   * element holding the tiles.
+   * @param {AppMessageRouter} options.messages - For broadcasting moves.
+   */
+  constructor({ canvas, tilesEl, messages }) {
+    this.canvas = canvas;
+    this.tilesEl = tilesEl;
+    this.messages = messages;
+    this.positions = new Map(); // layout key -> { x, y, w?, h? }
+    this.roomName = null;
+    this.pendingSave = {};
+    this.saveTimer = null;
+
+    this.tilesEl.addEventListener('tile-moved', (e) => this.tileMoved(e.target));
+    this.tilesEl.addEventListener('tile-resized', (e) => this.tileMoved(e.target));
+    window.addEventListener('resize', () => this.applyAll());
+  }
+
+  /**
+   * Loads the saved layout for a room and applies it to the tiles.
+   * @param {string} roomName - Daily room name (server room id).
+   */
+  async load(roomName) {
+    this.roomName = roomName;
+    this.positions.clear();
+    if (!roomName) return;
+    try {
+      const res = await fetch(`/rooms/${encodeURIComponent(roomName)}/layout`, { cache: 'no-store' });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const { positions } = await res.json();
+      Object.entries(positions || {}).forEach(([key, pos]) => this.positions.set(key, pos));
+      this.applyAll();
+    } catch (err) {
+      console.warn('Failed to load canvas layout', err);
+    }
+  }
+
+  /**
+   * Positions a tile from the shared layout, or from its key if the layout
+   * doesn't have it yet.
+   * @param {HTMLElement} el - A tile with `data-layout-key`.
+   */
+  place(el) {
+    const key = el.dataset.layoutKey;
+    const pos = this.positions.get(key) || this.defaultPosition(key);
+    this.applyTo(el, pos);
+  }
+
+  applyAll() {
+    this.tilesEl.querySelectorAll('[data-layout-key]').forEach((el) => {
+      const pos = this.positions.get(el.dataset.layoutKey);
+      if (pos) this.applyTo(el, pos);
+    });
+  }
+
+  applyTo(el, { x, y, w, h }) {
+    // Automatic layout modes own tile positions until switched back to free
+    const mode = this.tilesEl.dataset.layoutMode;
+    if (mode && mode !== 'free') return;
+    if (w && h) {
+      const rect = this.canvas.getBoundingClientRect();
+      let width = w * rect.width;
+      let height = h * rect.height;
+      // Round tiles stay round on canvases of another shape
+      if (getComputedStyle(el).borderRadius === '50%') width = height = Math.min(width, height);
+      el.style.width = `${Math.round(width)}px`;
+      el.style.height = `${Math.round(height)}px`;
+    }
+    const { width, height } = this.bounds(el);
+    el.style.position = 'absolute';
+    el.style.left = `${Math.round(x * width)}px`;
+    el.style.top = `${Math.round(y * height)}px`;
+  }
+
+  /**
+   * Space a tile's top-left corner can move in, so x/y of 1 keeps the whole
+   * tile on the canvas.
+   */
+  bounds(el) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      width: Math.max(1, rect.width - (el.offsetWidth || 180)),
+      height: Math.max(1, rect.height - (el.offsetHeight || 180)),
+    };
+  }
+
+  /**
+   * Called when the local user drops or resizes a tile: records, broadcasts
+   * and saves its new position (and size, once it has been resized).
+   */
+  tileMoved(el) {
+    const key = el.dataset.layoutKey;
+    if (!key) return;
+    const clamp01 = (value) => Math.min(1, Math.max(0, value));
+    const { width, height } = this.bounds(el);
+    const pos = {
+      x: clamp01(el.offsetLeft / width),
+      y: clamp01(el.offsetTop / height),
+    };
+    // Tiles only have an inline size in free mode once someone resized them
+    if (el.style.width && el.style.height) {
+      const rect = this.canvas.getBoundingClientRect();
+      pos.w = clamp01(el.offsetWidth / Math.max(1, rect.width));
+      pos.h = clamp01(el.offsetHeight / Math.max(1, rect.height));
+    }
+    const current = this.positions.get(key);
+    const same = (a = 0, b = 0) => Math.abs(a - b) < 0.001;
+    if (current && ['x', 'y', 'w', 'h'].every((k) => same(current[k], pos[k]))) return;
+
+    this.positions.set(key, pos);
+    this.applyTo(el, pos); // clamps a tile dragged past the edge
+    this.messages.send('layout-move', { key, ...pos });
+    this.scheduleSave(key, pos);
+  }
+
+  /**
+   * Applies a position (and size) broadcast by another participant.
+   */
+  handleRemoteMove({ key, x, y, w, h }) {
+    const clamp01 = (value) => Math.min(1, Math.max(0, value));
+    const pos = { x: clamp01(x), y: clamp01(y) };
+    if (Number.isFinite(w) && Number.isFinite(h)) {
+      pos.w = clamp01(w);
+      pos.h = clamp01(h);
+    }
+    this.positions.set(key, pos);
+    this.tilesEl.querySelectorAll('[data-layout-key]').forEach((el) => {
+      if (el.dataset.layoutKey === key) this.applyTo(el, pos);
+    });
+  }
+
+  scheduleSave(key, pos) {
+    this.pendingSave[key] = pos;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.save(), 500);
+  }
+
+  async save() {
+    const positions = this.pendingSave;
+    this.pendingSave = {};
+    if (!this.roomName || !Object.keys(positions).length) return;
+    try {
+      const res = await fetch(`/rooms/${encodeURIComponent(this.roomName)}/layout`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ positions }),
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    } catch (err) {
+      console.warn('Failed to save canvas layout', err);
+    }
+  }
+
+  /**
+   * Deterministic position from the tile key (FNV-1a hash), so tiles no one
+   * has moved yet still land in the same spot for everyone.
+   */
+  defaultPosition(key = '') {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < key.length; i++) {
+      hash ^= key.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return { x: (hash & 0xffff) / 0xffff, y: (hash >>> 16) / 0xffff };
+  }
+}
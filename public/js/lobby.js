@@ -0,0 +1,140 @@
+/**
+ * Pre-join lobby shown over the canvas while not in a call: a camera
+ * preview, a microphone level meter, a display name and whether to join
+ * with the camera and mic on. The preview runs on Daily's `startCamera()`,
+ * so the devices picked in the lobby are the ones the call joins with;
+ * `joinOptions()` carries the rest into `call.join()`.
+ */
+class PreJoinLobby {
+  /**
+   * @param {Object} options
+   * @param {Object} options.call - The Daily call object.
+   * @param {HTMLElement} options.el - The `#lobby` overlay.
+   * @param {HTMLVideoElement} options.videoEl - Camera preview.
+   * @param {HTMLElement} options.meterEl - Mic level bar (width follows the
+   * level).
+   * @param {HTMLInputElement} options.nameInput - Display name.
+   * @param {HTMLInputElement} options.cameraToggle - "Camera on" checkbox.
+   * @param {HTMLInputElement} options.micToggle - "Mic on" checkbox.
+   */
+  constructor({ call, el, videoEl, meterEl, nameInput, cameraToggle, micToggle }) {
+    this.call = call;
+    this.el = el;
+    this.videoEl = videoEl;
+    this.meterEl = meterEl;
+    this.nameInput = nameInput;
+    this.cameraToggle = cameraToggle;
+    this.micToggle = micToggle;
+    this.previewing = false;
+    this.meter = null; // { context, track, frame }
+
+    this.cameraToggle.addEventListener('change', () => {
+      if (this.previewing) this.call.setLocalVideo(this.cameraToggle.checked);
+    });
+    this.micToggle.addEventListener('change', () => {
+      if (this.previewing) this.call.setLocalAudio(this.micToggle.checked);
+    });
+  }
+
+  get displayName() {
+    return this.nameInput.value.trim().slice(0, 64);
+  }
+
+  /**
+   * Turns on the camera and mic for the preview. Asks for permission the
+   * first time; a denied prompt surfaces as Daily's `camera-error` event.
+   */
+  async start() {
+    await this.call.startCamera();
+    this.previewing = true;
+    this.call.setLocalVideo(this.cameraToggle.checked);
+    this.call.setLocalAudio(this.micToggle.checked);
+    this.refreshPreview();
+  }
+
+  /**
+   * Shows the lobby again after leaving. The camera is off until the next
+   * preview.
+   */
+  show() {
+    this.el.hidden = false;
+  }
+
+  /**
+   * Hides the lobby and stops the preview (the call keeps the devices).
+   */
+  hide() {
+    this.el.hidden = true;
+    this.previewing = false;
+    this.stopMeter();
+    this.videoEl.srcObject = null;
+  }
+
+  /**
+   * Points the preview and meter at the local participant's current tracks,
+   * e.g. after a device change.
+   */
+  refreshPreview() {
+    if (!this.previewing) return;
+    const local = this.call.participants().local;
+    const tracks = (local && local.tracks) || {};
+
+    const video = tracks.video && tracks.video.state !== 'off' && tracks.video.persistentTrack;
+    if (!video) {
+      this.videoEl.srcObject = null;
+    } else if (!this.videoEl.srcObject || !this.videoEl.srcObject.getTracks().includes(video)) {
+      this.videoEl.srcObject = new MediaStream([video]);
+    }
+
+    const audio = tracks.audio && tracks.audio.persistentTrack;
+    if (!audio || tracks.audio.state === 'off') {
+      this.stopMeter();
+    } else if (!this.meter || this.meter.track !== audio) {
+      this.startMeter(audio);
+    }
+  }
+
+  /**
+   * Drives the level bar from a Web Audio analyser on the mic track.
+   */
+  startMeter(track) {
+    this.stopMeter();
+    const context = new AudioContext();
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 512;
+    context.createMediaStreamSource(new MediaStream([track])).connect(analyser);
+    const samples = new Float32Array(analyser.fftSize);
+
+    this.meter = { context, track, frame: null };
+    const tick = () => {
+      analyser.getFloatTimeDomainData(samples);
+      let sum = 0;
+      for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+      // RMS of speech sits well below 0.3; stretch it over the bar
+      const level = Math.min(1, Math.sqrt(sum / samples.length) * 4);
+      this.meterEl.style.width = `${Math.round(level * 100)}%`;
+      this.meter.frame = requestAnimationFrame(tick);
+    };
+    tick();
+  }
+
+  stopMeter() {
+    if (!this.meter) return;
+    cancelAnimationFrame(this.meter.frame);
+    this.meter.context.close();
+    this.meter = null;
+    this.meterEl.style.width = '0%';
+  }
+
+  /**
+   * Options for `call.join()` from the lobby's choices.
+   */
+  joinOptions() {
+    const options = {
+      startVideoOff: !this.cameraToggle.checked,
+      startAudioOff: !this.micToggle.checked,
+    };
+    if (this.displayName) options.userName = this.displayName;
+    return options;
+  }
+}
@@ -0,0 +1,101 @@
+/**
+ * Collects what happened in a meeting so it can be saved as a record after
+ * `leave()`: participants with join/leave times, the active-speaker
+ * timeline, chat messages and the transcript.
+ */
+class MeetingLog {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Starts a fresh record for a new meeting.
+   * @param {string|null} [roomName] - Daily room name.
+   * @param {string|null} [roomUrl] - Daily room URL.
+   * @param {string|null} [sessionId] - Daily meeting session id, so the
+   * server keeps one record per meeting.
+   */
+  reset(roomName = null, roomUrl = null, sessionId = null) {
+    this.roomName = roomName;
+    this.roomUrl = roomUrl;
+    this.sessionId = sessionId;
+    this.startedAt = roomName ? Date.now() : null;
+    this.participants = new Map(); // session_id -> participant entry
+    this.speakerTimeline = [];
+    this.messages = [];
+  }
+
+  get active() {
+    return this.startedAt !== null;
+  }
+
+  /**
+   * Whether the local participant joined as a host; only hosts save records.
+   */
+  get localIsHost() {
+    return [...this.participants.values()].some((p) => p.local && p.role === 'host');
+  }
+
+  /**
+   * Records a participant the first time it's seen and keeps its name and
+   * role current.
+   * @param {Object} participant - Daily participant object.
+   * @param {string} role - 'host', 'guest' or 'bot'.
+   */
+  participantSeen(participant, role) {
+    if (!this.active) return;
+    const id = participant.session_id;
+    const entry = this.participants.get(id) || {
+      id,
+      joinedAt: participant.joined_at ? new Date(participant.joined_at).getTime() : Date.now(),
+      leftAt: null,
+    };
+    entry.name = participant.user_name || entry.name || 'Guest';
+    entry.role = role;
+    entry.local = !!participant.local;
+    this.participants.set(id, entry);
+  }
+
+  participantLeft(participantId) {
+    const entry = this.participants.get(participantId);
+    if (entry && !entry.leftAt) entry.leftAt = Date.now();
+  }
+
+  /**
+   * Appends to the active-speaker timeline, skipping repeats.
+   */
+  activeSpeaker(participantId) {
+    if (!this.active) return;
+    const last = this.speakerTimeline[this.speakerTimeline.length - 1];
+    if (last && last.participantId === participantId) return;
+    const name = this.participants.get(participantId)?.name || null;
+    this.speakerTimeline.push({ participantId, name, at: Date.now() });
+  }
+
+  /**
+   * Records a chat message sent or received during this meeting.
+   */
+  message({ id, senderName, text, ts }) {
+    if (!this.active || (ts && ts < this.startedAt)) return;
+    this.messages.push({ id, senderName: senderName || 'Guest', text, ts: ts || Date.now() });
+  }
+
+  /**
+   * Builds the meeting record, closing any open participant entries.
+   * @param {Object[]} transcript - Entries from TranscriptPanel#toJSON().
+   */
+  toRecord(transcript = []) {
+    const endedAt = Date.now();
+    return {
+      roomName: this.roomName,
+      roomUrl: this.roomUrl,
+      sessionId: this.sessionId,
+      startedAt: this.startedAt,
+      endedAt,
+      participants: [...this.participants.values()].map((p) => ({ ...p, leftAt: p.leftAt || endedAt })),
+      speakerTimeline: this.speakerTimeline,
+      messages: this.messages,
+      transcript: transcript.filter((e) => e.final),
+    };
+  }
+}
@@ -0,0 +1,171 @@
+/**
+ * Typed app-message protocol on top of Daily's `sendAppMessage`.
+ *
+ * Every message is an envelope `{ type, id, ts, ...payload }`. Handlers are
+ * registered per `type` with an optional schema; payloads that don't match
+ * are dropped, as are unknown types (both reported through `onReject`).
+ * `request()` sends a message and resolves with the reply, i.e. the first
+ * message whose `replyTo` equals the request's `id`.
+ *
+ * RTVI messages from Pipecat bots (`label: 'rtvi-ai'`) carry their own
+ * `type`s and are routed as a whole to the handler registered for
+ * 'rtvi-ai'.
+ *
+ * Schemas map field names to 'string', 'number', 'boolean', 'object' or
+ * 'array'; a trailing '?' marks the field as optional:
+ *   router.register('meta', handler, { text: 'string', ts: 'number?' });
+ */
+class AppMessageRouter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.send - `(data, to) => void`, usually
+   * `call.sendAppMessage`.
+   * @param {Function} [options.onReject] - `(reason, fromId, data) => void`,
+   * called for unknown types, invalid payloads and orphan replies.
+   * @param {number} [options.defaultTimeout] - Request timeout in ms.
+   */
+  constructor({ send, onReject = () => {}, defaultTimeout = 5000 }) {
+    this.sendRaw = send;
+    this.onReject = onReject;
+    this.defaultTimeout = defaultTimeout;
+    this.handlers = new Map(); // type -> { handler, schema }
+    this.pending = new Map(); // message id -> { resolve, reject, timer }
+  }
+
+  /**
+   * Registers the handler for a message type, replacing any previous one.
+   * The handler is called as `handler(payload, ctx)` where ctx has
+   * `fromId`, `id` and `reply(payload, type?)`.
+   */
+  register(type, handler, schema = null) {
+    this.handlers.set(type, { handler, schema });
+  }
+
+  unregister(type) {
+    this.handlers.delete(type);
+  }
+
+  /**
+   * Sends a typed message.
+   * @param {string} type - Message type.
+   * @param {Object} [payload] - Message fields.
+   * @param {string} [to] - Session id, or '*' to broadcast.
+   * @returns {Object} The envelope that was sent.
+   */
+  send(type, payload = {}, to = '*') {
+    const message = { ...payload, type, id: this.createId(), ts: Date.now() };
+    this.sendRaw(message, to);
+    return message;
+  }
+
+  /**
+   * Sends a message and waits for its reply.
+   * @returns {Promise<Object>} The reply's payload (rejects on timeout or on
+   * an `error` reply).
+   */
+  request(type, payload = {}, to = '*', { timeout = this.defaultTimeout } = {}) {
+    return new Promise((resolve, reject) => {
+      const message = { ...payload, type, id: this.createId(), ts: Date.now() };
+      const timer = setTimeout(() => {
+        this.pending.delete(message.id);
+        reject(new Error(`No reply to '${type}' within ${timeout}ms`));
+      }, timeout);
+      this.pending.set(message.id, { resolve, reject, timer });
+      try {
+        this.sendRaw(message, to);
+      } catch (err) {
+        clearTimeout(timer);
+        this.pending.delete(message.id);
+        reject(err);
+      }
+    });
+  }
+
+  /**
+   * Routes an incoming app message. Returns true if it was handled.
+   * @param {string} fromId - Sender session id.
+   * @param {Object} data - The message as received.
+   */
+  dispatch(fromId, data) {
+    if (!data || typeof data !== 'object') {
+      this.onReject('not an object', fromId, data);
+      return false;
+    }
+
+    if (data.replyTo && this.pending.has(data.replyTo)) {
+      const { resolve, reject, timer } = this.pending.get(data.replyTo);
+      clearTimeout(timer);
+      this.pending.delete(data.replyTo);
+      if (data.type === 'error') reject(new Error(data.error || 'Request failed'));
+      else resolve(data);
+      return true;
+    }
+
+    const type = data.label === 'rtvi-ai' ? 'rtvi-ai' : data.type;
+    const entry = this.handlers.get(type);
+    if (!entry) {
+      this.onReject(data.replyTo ? 'late or unknown reply' : `unknown type '${type}'`, fromId, data);
+      return false;
+    }
+
+    const problem = entry.schema && this.validate(data, entry.schema);
+    if (problem) {
+      this.onReject(`invalid '${type}': ${problem}`, fromId, data);
+      if (data.id) this.reply(fromId, data, { error: problem }, 'error');
+      return false;
+    }
+
+    const ctx = {
+      fromId,
+      id: data.id,
+      reply: (payload, replyType = `${type}-reply`) => this.reply(fromId, data, payload, replyType),
+    };
+    try {
+      entry.handler(data, ctx);
+    } catch (err) {
+      console.error(`Handler for '${type}' failed`, err);
+    }
+    return true;
+  }
+
+  reply(toId, original, payload, type) {
+    if (!original.id) return;
+    this.sendRaw({ ...payload, type, id: this.createId(), replyTo: original.id, ts: Date.now() }, toId);
+  }
+
+  /**
+   * Checks a message against a schema.
+   * @returns {string|null} A description of the first problem, or null.
+   */
+  validate(data, schema) {
+    for (const [field, spec] of Object.entries(schema)) {
+      const optional = spec.endsWith('?');
+      const expected = optional ? spec.slice(0, -1) : spec;
+      const value = data[field];
+      if (value === undefined || value === null) {
+        if (optional) continue;
+        return `missing ${field}`;
+      }
+      const actual = Array.isArray(value) ? 'array' : typeof value;
+      if (actual !== expected) return `${field} should be ${expected}, got ${actual}`;
+    }
+    return null;
+  }
+
+  /**
+   * Rejects every pending request, e.g. when leaving the call.
+   */
+  cancelPending(reason = 'Call ended') {
+    this.pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(new Error(reason));
+    });
+    this.pending.clear();
+  }
+
+  createId() {
+    return window.crypto?.randomUUID
+      ? window.crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+}
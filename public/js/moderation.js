@@ -0,0 +1,170 @@
+/**
+ * Moderation for hosts (participants who joined with an owner token): mute,
+ * stop video or remove someone from the roster, lock the room, and admit or
+ * deny guests waiting in Daily's knocking lobby. Everything goes through
+ * Daily's owner-only `updateParticipant` / `updateWaitingParticipant`, except
+ * the lock, which the server keeps (see routes/moderation.js).
+ */
+class HostControls {
+  /**
+   * @param {Object} options
+   * @param {Object} options.call - The Daily call object.
+   * @param {HTMLElement} options.cardEl - The Host Controls card, shown only
+   * to hosts.
+   * @param {HTMLElement} options.waitingEl - List of people knocking.
+   * @param {HTMLButtonElement} options.lockBtn - Lock/unlock toggle.
+   * @param {Function} options.getPasscode - Returns the host passcode typed
+   * when joining, if any.
+   * @param {Function} options.onError - `(message) => void` for failed
+   * actions.
+   */
+  constructor({ call, cardEl, waitingEl, lockBtn, getPasscode, onError }) {
+    this.call = call;
+    this.cardEl = cardEl;
+    this.waitingEl = waitingEl;
+    this.lockBtn = lockBtn;
+    this.getPasscode = getPasscode;
+    this.onError = onError;
+    this.roomName = null;
+    this.locked = false;
+
+    this.lockBtn.addEventListener('click', () => this.setLocked(!this.locked));
+  }
+
+  get isHost() {
+    return !!this.call.participants().local?.owner;
+  }
+
+  /**
+   * Loads the room's lock state after joining.
+   * @param {string} roomName - Daily room name.
+   */
+  async load(roomName) {
+    this.roomName = roomName;
+    this.refresh();
+    if (!roomName) return;
+    try {
+      const res = await fetch(`/rooms/${encodeURIComponent(roomName)}/lock`, { cache: 'no-store' });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      this.locked = (await res.json()).locked;
+      this.refresh();
+    } catch (err) {
+      console.warn('Failed to load room lock', err);
+    }
+  }
+
+  reset() {
+    this.roomName = null;
+    this.locked = false;
+    this.refresh();
+  }
+
+  refresh() {
+    this.cardEl.hidden = !(this.roomName && this.isHost);
+    this.lockBtn.textContent = this.locked ? 'Unlock room' : 'Lock room';
+    this.lockBtn.setAttribute('aria-pressed', String(this.locked));
+    this.renderWaiting();
+  }
+
+  /**
+   * Moderation buttons for a roster entry; nothing for non-hosts or for
+   * your own row.
+   * @param {Object} entry - Roster entry (`id`, `name`, `local`, `mic`,
+   * `camera`).
+   * @returns {HTMLElement|null}
+   */
+  actionsFor(entry) {
+    if (!this.isHost || entry.local) return null;
+    const actions = document.createElement('div');
+    actions.className = 'roster-actions';
+    const button = (label, onClick) => {
+      const btn = document.createElement('button');
+      btn.className = 'btn-ghost';
+      btn.textContent = label;
+      btn.addEventListener('click', onClick);
+      actions.appendChild(btn);
+    };
+    if (entry.mic) button('Mute', () => this.update(entry.id, { setAudio: false }));
+    if (entry.camera) button('Stop video', () => this.update(entry.id, { setVideo: false }));
+    button('Remove', () => {
+      if (window.confirm(`Remove ${entry.name} from the call?`)) this.update(entry.id, { eject: true });
+    });
+    return actions;
+  }
+
+  /**
+   * Applies an owner-only change to a participant.
+   * @param {string} participantId - Session id.
+   * @param {Object} changes - E.g. `{ setAudio: false }` or `{ eject: true }`.
+   */
+  update(participantId, changes) {
+    try {
+      this.call.updateParticipant(participantId, changes);
+    } catch (err) {
+      console.error('Moderation action failed', err);
+      this.onError(`Couldn't update that participant: ${err.message || err}`);
+    }
+  }
+
+  renderWaiting() {
+    this.waitingEl.innerHTML = '';
+    if (!this.isHost) return;
+    Object.values(this.call.waitingParticipants() || {}).forEach((waiting) => {
+      const li = document.createElement('li');
+      const name = document.createElement('span');
+      name.textContent = waiting.name || 'Guest';
+      li.appendChild(name);
+      [['Admit', true], ['Deny', false]].forEach(([label, grant]) => {
+        const btn = document.createElement('button');
+        btn.className = grant ? 'btn-primary' : 'btn-ghost';
+        btn.textContent = label;
+        btn.addEventListener('click', () => this.respond(waiting.id, grant));
+        li.appendChild(btn);
+      });
+      this.waitingEl.appendChild(li);
+    });
+    if (!this.waitingEl.children.length) {
+      const empty = document.createElement('li');
+      empty.className = 'waiting-empty';
+      empty.textContent = 'Nobody is waiting.';
+      this.waitingEl.appendChild(empty);
+    }
+  }
+
+  /**
+   * Lets a knocking guest in, or turns them away.
+   */
+  async respond(waitingId, grant) {
+    try {
+      await this.call.updateWaitingParticipant(waitingId, { grantRequestedAccess: grant });
+    } catch (err) {
+      console.error('Failed to answer access request', err);
+      this.onError(`Couldn't answer the request: ${err.message || err}`);
+    }
+  }
+
+  /**
+   * Locks or unlocks the room: while locked, guests can't get a token and
+   * have to knock.
+   */
+  async setLocked(locked) {
+    if (!this.roomName) return;
+    this.lockBtn.disabled = true;
+    try {
+      const res = await fetch(`/rooms/${encodeURIComponent(this.roomName)}/lock`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ locked, passcode: this.getPasscode() || undefined }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      this.locked = data.locked;
+    } catch (err) {
+      console.error('Failed to change room lock', err);
+      this.onError(`Couldn't ${locked ? 'lock' : 'unlock'} the room: ${err.message}`);
+    } finally {
+      this.lockBtn.disabled = false;
+      this.refresh();
+    }
+  }
+}
@@ -0,0 +1,217 @@
+/**
+ * The Playbook card for the sales rep: the room's sales playbook (see
+ * routes/playbooks.js) with the talking points for the current stage of the
+ * call, products and pricing, qualification questions, objection responses
+ * and the demo notes. Hosts pick which playbook the room runs; it's only
+ * loaded by hosts, with the host passcode, so prospects don't see the
+ * pricing notes.
+ */
+class PlaybookPanel {
+  /**
+   * @param {Object} options
+   * @param {Object} options.call - The Daily call object.
+   * @param {HTMLElement} options.cardEl - The Playbook card.
+   * @param {HTMLSelectElement} options.selectEl - Playbook picker.
+   * @param {HTMLElement} options.stageEl - Current stage and its talking
+   * points.
+   * @param {HTMLButtonElement} options.prevBtn - Previous stage.
+   * @param {HTMLButtonElement} options.nextBtn - Next stage.
+   * @param {HTMLElement} options.detailsEl - Products, questions,
+   * objections and notes.
+   * @param {Function} options.onChange - `(playbook) => void`, after a host
+   * switches the room to another playbook.
+   * @param {Function} options.hostHeaders - Returns the headers for the
+   * host-only playbook routes.
+   * @param {Function} options.onError - `(message) => void`.
+   */
+  constructor({ call, cardEl, selectEl, stageEl, prevBtn, nextBtn, detailsEl, onChange, hostHeaders, onError }) {
+    this.call = call;
+    this.cardEl = cardEl;
+    this.selectEl = selectEl;
+    this.stageEl = stageEl;
+    this.prevBtn = prevBtn;
+    this.nextBtn = nextBtn;
+    this.detailsEl = detailsEl;
+    this.onChange = onChange;
+    this.hostHeaders = hostHeaders;
+    this.onError = onError;
+    this.roomName = null;
+    this.playbook = null;
+    this.stage = 0;
+
+    this.selectEl.addEventListener('change', () => this.select(this.selectEl.value));
+    this.prevBtn.addEventListener('click', () => this.setStage(this.stage - 1));
+    this.nextBtn.addEventListener('click', () => this.setStage(this.stage + 1));
+  }
+
+  /**
+   * The system message for the agent's context, once a playbook is loaded.
+   */
+  get agentContext() {
+    return this.playbook ? this.playbook.agentContext : null;
+  }
+
+  /**
+   * Loads the available playbooks and the one the room runs.
+   * @param {string} roomName - Daily room name.
+   */
+  async load(roomName) {
+    this.roomName = roomName;
+    this.refresh();
+    if (!roomName || !this.isHost) return;
+    try {
+      const res = await fetch('/playbooks', { headers: this.hostHeaders(), cache: 'no-store' });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const { playbooks } = await res.json();
+      this.selectEl.innerHTML = '';
+      playbooks.forEach(({ id, name }) => {
+        const opt = document.createElement('option');
+        opt.value = id;
+        opt.textContent = name;
+        this.selectEl.appendChild(opt);
+      });
+      await this.reload();
+    } catch (err) {
+      console.warn('Failed to load playbooks', err);
+    }
+  }
+
+  /**
+   * Fetches the room's current playbook, e.g. after another host changed it.
+   */
+  async reload() {
+    if (!this.roomName || !this.isHost) return;
+    try {
+      const res = await fetch(`/rooms/${encodeURIComponent(this.roomName)}/playbook`, {
+        headers: this.hostHeaders(),
+        cache: 'no-store',
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      this.show(data.playbook);
+    } catch (err) {
+      console.warn('Failed to load the room playbook', err);
+    }
+  }
+
+  /**
+   * Switches the room to another playbook.
+   * @param {string} playbookId
+   */
+  async select(playbookId) {
+    if (!this.roomName || (this.playbook && this.playbook.id === playbookId)) return;
+    this.selectEl.disabled = true;
+    try {
+      const res = await fetch(`/rooms/${encodeURIComponent(this.roomName)}/playbook`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...this.hostHeaders() },
+        body: JSON.stringify({ playbookId }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      this.show(data.playbook);
+      this.onChange(this.playbook);
+    } catch (err) {
+      console.error('Failed to change playbook', err);
+      this.onError(`Couldn't switch playbook: ${err.message}`);
+      if (this.playbook) this.selectEl.value = this.playbook.id;
+    } finally {
+      this.selectEl.disabled = false;
+    }
+  }
+
+  show(playbook) {
+    const changed = !this.playbook || this.playbook.id !== playbook.id;
+    this.playbook = playbook;
+    if (changed) this.stage = 0;
+    this.selectEl.value = playbook.id;
+    this.render();
+  }
+
+  setStage(index) {
+    const stages = this.playbook ? this.playbook.talkingPoints : [];
+    this.stage = Math.min(Math.max(0, index), Math.max(0, stages.length - 1));
+    this.renderStage();
+  }
+
+  reset() {
+    this.roomName = null;
+    this.playbook = null;
+    this.stage = 0;
+    this.refresh();
+  }
+
+  get isHost() {
+    return !!this.call.participants().local?.owner;
+  }
+
+  refresh() {
+    this.cardEl.hidden = !(this.roomName && this.isHost);
+  }
+
+  render() {
+    this.refresh();
+    this.renderStage();
+    this.renderDetails();
+  }
+
+  renderStage() {
+    this.stageEl.innerHTML = '';
+    const stages = this.playbook ? this.playbook.talkingPoints : [];
+    const current = stages[this.stage];
+    this.prevBtn.disabled = this.stage <= 0;
+    this.nextBtn.disabled = this.stage >= stages.length - 1;
+    if (!current) {
+      this.stageEl.textContent = 'This playbook has no talking points.';
+      return;
+    }
+    const heading = document.createElement('strong');
+    heading.textContent = `${current.stage} (${this.stage + 1}/${stages.length})`;
+    const list = document.createElement('ul');
+    current.points.forEach((point) => {
+      const li = document.createElement('li');
+      li.textContent = point;
+      list.appendChild(li);
+    });
+    this.stageEl.append(heading, list);
+  }
+
+  renderDetails() {
+    this.detailsEl.innerHTML = '';
+    if (!this.playbook) return;
+    const { products, qualification, objections, notes } = this.playbook;
+    const section = (title, items, renderItem) => {
+      if (!items.length) return;
+      const block = document.createElement('details');
+      const summary = document.createElement('summary');
+      summary.textContent = title;
+      const list = document.createElement('ul');
+      items.forEach((item) => {
+        const li = document.createElement('li');
+        renderItem(li, item);
+        list.appendChild(li);
+      });
+      block.append(summary, list);
+      this.detailsEl.appendChild(block);
+    };
+
+    section('Products & pricing', products.flatMap((p) => p.tiers.map((t) => ({ product: p, tier: t }))), (li, { product, tier }) => {
+      const name = document.createElement('strong');
+      name.textContent = `${product.name} ${tier.name}`;
+      li.append(name, ` — ${tier.price || 'contact sales'}`);
+      if (tier.features.length) li.append(document.createElement('br'), tier.features.join(' · '));
+    });
+    section('Qualification questions', qualification, (li, q) => {
+      li.textContent = q.why ? `${q.question} (${q.why})` : q.question;
+    });
+    section('Objections', objections, (li, o) => {
+      const objection = document.createElement('strong');
+      objection.textContent = `“${o.objection}”`;
+      li.append(objection, document.createElement('br'), o.response);
+    });
+    section('Notes', notes ? [notes] : [], (li, text) => {
+      li.className = 'playbook-notes';
+      li.textContent = text;
+    });
+  }
+}
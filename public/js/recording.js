@@ -0,0 +1,206 @@
+/**
+ * The record button and the recording indicator. Recording uses Daily's
+ * cloud recording when the room and token allow it, and otherwise records
+ * the canvas locally (CanvasRecorder) into a WebM download.
+ *
+ * For consent, whoever records announces it with a `recording` app message
+ * (`{ active, mode }`), repeated to people who join later; Daily's own
+ * `recording-started`/`recording-stopped` events feed the same indicator,
+ * which everyone sees over the canvas.
+ */
+class RecordingControls {
+  /**
+   * @param {Object} options
+   * @param {Object} options.call - The Daily call object.
+   * @param {AppMessageRouter} options.messages - For announcing recordings.
+   * @param {CanvasRecorder} options.recorder - Local fallback.
+   * @param {HTMLButtonElement} options.button - Start/stop toggle.
+   * @param {HTMLElement} options.indicatorEl - The REC badge.
+   * @param {Function} options.resolveName - Maps a session id to a display
+   * name.
+   * @param {Function} options.fileName - Returns the download's file name.
+   * @param {Function} options.onError - `(message) => void`.
+   */
+  constructor({ call, messages, recorder, button, indicatorEl, resolveName, fileName, onError }) {
+    this.call = call;
+    this.messages = messages;
+    this.recorder = recorder;
+    this.button = button;
+    this.indicatorEl = indicatorEl;
+    this.resolveName = resolveName;
+    this.fileName = fileName;
+    this.onError = onError;
+    this.mode = null; // what we're recording: null, 'cloud' or 'local'
+    this.active = new Map(); // session_id of whoever records -> mode
+
+    this.button.addEventListener('click', () => this.toggle());
+  }
+
+  /**
+   * Whether Daily will let us cloud-record: the room (or our token) enables
+   * cloud recording and we're an owner or our token grants it.
+   */
+  async canCloudRecord() {
+    try {
+      const room = await this.call.room();
+      const tokenMode = room && room.tokenConfig && room.tokenConfig.enable_recording;
+      const roomMode = room && room.config && room.config.enable_recording;
+      const owner = !!this.call.participants().local?.owner;
+      return tokenMode === 'cloud' || (roomMode === 'cloud' && owner);
+    } catch (err) {
+      return false;
+    }
+  }
+
+  async toggle() {
+    this.button.disabled = true;
+    try {
+      if (this.mode) await this.stop();
+      else await this.start();
+    } finally {
+      this.button.disabled = false;
+      this.render();
+    }
+  }
+
+  async start() {
+    if (await this.canCloudRecord()) {
+      // Announced once Daily confirms with recording-started
+      this.mode = 'cloud';
+      try {
+        await this.call.startRecording();
+      } catch (err) {
+        this.mode = null;
+        this.onError(`Couldn't start cloud recording: ${err.errorMsg || err.message || err}`);
+      }
+      return;
+    }
+    try {
+      this.recorder.start();
+      this.mode = 'local';
+      this.announce(true);
+    } catch (err) {
+      console.error('Local recording failed to start', err);
+      this.onError(`Couldn't start recording: ${err.message}`);
+    }
+  }
+
+  async stop() {
+    const { mode } = this;
+    if (mode === 'cloud') {
+      this.call.stopRecording();
+      return;
+    }
+    this.mode = null;
+    this.announce(false);
+    const blob = await this.recorder.stop();
+    if (blob && blob.size) this.download(blob);
+  }
+
+  download(blob) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = this.fileName();
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+  }
+
+  /**
+   * Tells everyone (or one late joiner) whether we're recording.
+   * @param {boolean} active
+   * @param {string} [to] - Session id, or '*' for everyone.
+   */
+  announce(active, to = '*') {
+    const local = this.call.participants().local;
+    if (local && to === '*') {
+      if (active) this.active.set(local.session_id, this.mode);
+      else this.active.delete(local.session_id);
+    }
+    try {
+      this.messages.send('recording', { active, mode: this.mode || 'local' }, to);
+    } catch (err) {
+      console.warn('Failed to announce recording', err);
+    }
+    this.render();
+  }
+
+  /**
+   * Handles a `recording` app message from another participant.
+   */
+  handleRemote(msg, fromId) {
+    if (msg.active) this.active.set(fromId, msg.mode);
+    else this.active.delete(fromId);
+    this.render();
+  }
+
+  /**
+   * Handles Daily's `recording-started` event (sent to everyone).
+   */
+  handleCloudStarted(event) {
+    const by = event.startedBy || (event.local ? this.call.participants().local?.session_id : null);
+    if (by) this.active.set(by, 'cloud');
+    if (event.local || this.mode === 'cloud') this.announce(true);
+    this.render();
+  }
+
+  /**
+   * Handles Daily's `recording-stopped` event.
+   */
+  handleCloudStopped() {
+    if (this.mode === 'cloud') {
+      this.mode = null;
+      this.announce(false);
+    }
+    this.active.forEach((mode, id) => {
+      if (mode === 'cloud') this.active.delete(id);
+    });
+    this.render();
+  }
+
+  /**
+   * Handles Daily's `recording-error` event.
+   */
+  handleCloudError(event) {
+    this.onError(`Recording stopped with an error: ${event.errorMsg || 'unknown error'}`);
+    this.handleCloudStopped();
+  }
+
+  /**
+   * Lets a participant who just joined know we're recording.
+   */
+  participantJoined(participantId) {
+    if (this.mode) this.announce(true, participantId);
+  }
+
+  participantLeft(participantId) {
+    if (this.active.delete(participantId)) this.render();
+  }
+
+  /**
+   * Ends a local recording (saving what was captured) when leaving.
+   */
+  async reset() {
+    if (this.mode === 'local') {
+      this.mode = null;
+      const blob = await this.recorder.stop();
+      if (blob && blob.size) this.download(blob);
+    }
+    this.mode = null;
+    this.active.clear();
+    this.render();
+  }
+
+  render() {
+    this.button.textContent = this.mode ? 'Stop recording' : 'Record';
+    this.button.setAttribute('aria-pressed', String(!!this.mode));
+    this.indicatorEl.hidden = !this.active.size;
+    if (!this.active.size) return;
+    const who = [...this.active.entries()]
+      .map(([id, mode]) => `${this.resolveName(id) || 'Guest'} (${mode})`)
+      .join(', ');
+    this.indicatorEl.textContent = `● REC — recorded by ${who}`;
+  }
+}
@@ -0,0 +1,144 @@
+/**
+ * Sidebar controls for the server's room provisioning API (`/rooms`). Lets a
+ * rep pick an active demo room or create a new one per prospect meeting; the
+ * chosen room's URL is written into the `room-url` input used for joining.
+ * Creating and deleting rooms needs the host passcode.
+ */
+class RoomPicker {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getPasscode - Returns the host passcode typed
+   * in the sidebar.
+   * @param {Function} options.onError - `(message) => void`, shown in the
+   * Daily Room card.
+   */
+  constructor({ getPasscode, onError }) {
+    this.getPasscode = getPasscode;
+    this.onError = onError;
+    this.rooms = [];
+    this.container = document.getElementById('room-provisioning');
+    this.select = document.getElementById('room-picker');
+    this.createBtn = document.getElementById('create-room-btn');
+    this.deleteBtn = document.getElementById('delete-room-btn');
+    this.roomInput = document.getElementById('room-url');
+  }
+
+  /**
+   * Shows the controls and loads the room list. Called once `/config`
+   * reports that the server can provision rooms.
+   */
+  enable() {
+    if (!this.container || !this.select) return;
+    this.container.hidden = false;
+
+    this.select.addEventListener('change', () => {
+      const room = this.rooms.find((r) => r.name === this.select.value);
+      if (room && this.roomInput) this.roomInput.value = room.url;
+      this.deleteBtn.disabled = !room;
+    });
+    this.createBtn.addEventListener('click', () => this.createRoom());
+    this.deleteBtn.addEventListener('click', () => this.deleteSelectedRoom());
+
+    this.refresh();
+  }
+
+  /**
+   * Fetches active demo rooms and repopulates the selector.
+   * @param {string} [selectName] - Room to select after the refresh.
+   */
+  async refresh(selectName) {
+    try {
+      const res = await fetch('/rooms', { cache: 'no-store' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      this.rooms = data.rooms || [];
+    } catch (err) {
+      console.warn('Failed to list rooms', err);
+      this.onError(`Couldn't load demo rooms: ${err.message}`);
+      this.rooms = [];
+    }
+
+    this.select.innerHTML = '';
+    const prompt = new Option(
+      this.rooms.length ? 'Pick a demo room' : 'No active demo rooms',
+      '',
+      !selectName,
+      !selectName
+    );
+    prompt.disabled = true;
+    this.select.appendChild(prompt);
+
+    this.rooms.forEach((room) => {
+      const expires = room.expiresAt
+        ? ` (until ${new Date(room.expiresAt).toLocaleTimeString()})`
+        : '';
+      const selected = room.name === selectName;
+      this.select.appendChild(new Option(`${room.name}${expires}`, room.name, selected, selected));
+    });
+    this.deleteBtn.disabled = !selectName;
+  }
+
+  /**
+   * Creates a room with the options from the "New room options" form and
+   * selects it.
+   */
+  async createRoom() {
+    const minutes = Number(document.getElementById('room-expiry')?.value) || 0;
+    const body = {
+      label: document.getElementById('room-label')?.value.trim() || undefined,
+      expiresIn: minutes > 0 ? minutes * 60 : undefined,
+      maxParticipants: Number(document.getElementById('room-max')?.value) || undefined,
+      recording: document.getElementById('room-recording')?.value || 'off',
+      chat: !!document.getElementById('room-chat')?.checked,
+      knocking: !!document.getElementById('room-knocking')?.checked,
+    };
+
+    this.createBtn.disabled = true;
+    try {
+      const res = await fetch('/rooms', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...this.hostHeaders() },
+        body: JSON.stringify(body),
+      });
+      const room = await res.json();
+      if (!res.ok) throw new Error(room.error || `HTTP ${res.status}`);
+      if (this.roomInput) this.roomInput.value = room.url;
+      await this.refresh(room.name);
+    } catch (err) {
+      console.error('Failed to create room', err);
+      this.onError(`Couldn't create a room: ${err.message}`);
+    } finally {
+      this.createBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Deletes the selected room, which also ends any meeting in it.
+   */
+  async deleteSelectedRoom() {
+    const room = this.rooms.find((r) => r.name === this.select.value);
+    if (!room) return;
+    if (!window.confirm(`Delete room ${room.name}? Anyone in it will be removed.`)) return;
+
+    try {
+      const res = await fetch(`/rooms/${encodeURIComponent(room.name)}`, {
+        method: 'DELETE',
+        headers: this.hostHeaders(),
+      });
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP ${res.status}`);
+      }
+      if (this.roomInput && this.roomInput.value === room.url) this.roomInput.value = '';
+      await this.refresh();
+    } catch (err) {
+      console.error('Failed to delete room', err);
+      this.onError(`Couldn't delete ${room.name}: ${err.message}`);
+    }
+  }
+
+  hostHeaders() {
+    const passcode = this.getPasscode();
+    return passcode ? { 'X-Host-Passcode': passcode } : {};
+  }
+}
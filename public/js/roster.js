@@ -0,0 +1,92 @@
+/**
+ * The Participants card: everyone in the call with their name, role (host,
+ * guest or bot), mic and camera state and when they joined. Kept current
+ * from Daily's participant events.
+ */
+class ParticipantRoster {
+  /**
+   * @param {Object} options
+   * @param {HTMLElement} options.listEl - The `#roster` list.
+   * @param {Function} [options.renderActions] - `(entry) => HTMLElement|null`,
+   * extra controls for a row (host moderation).
+   */
+  constructor({ listEl, renderActions = () => null }) {
+    this.listEl = listEl;
+    this.renderActions = renderActions;
+    this.entries = new Map(); // session_id -> entry
+  }
+
+  /**
+   * Adds or refreshes a participant.
+   * @param {Object} participant - Daily participant object.
+   * @param {string} role - 'host', 'guest' or 'bot'.
+   */
+  update(participant, role) {
+    const id = participant.session_id;
+    const tracks = participant.tracks || {};
+    const on = (track) => !!track && !['off', 'blocked'].includes(track.state);
+    const previous = this.entries.get(id);
+    this.entries.set(id, {
+      id,
+      name: participant.user_name || 'Guest',
+      role,
+      local: !!participant.local,
+      mic: on(tracks.audio),
+      camera: on(tracks.video),
+      joinedAt: participant.joined_at
+        ? new Date(participant.joined_at).getTime()
+        : (previous && previous.joinedAt) || Date.now(),
+    });
+    this.render();
+  }
+
+  remove(participantId) {
+    if (this.entries.delete(participantId)) this.render();
+  }
+
+  clear() {
+    this.entries.clear();
+    this.render();
+  }
+
+  /**
+   * Display name for a session id, or null if they're not in the call.
+   */
+  name(participantId) {
+    const entry = this.entries.get(participantId);
+    return entry ? entry.name : null;
+  }
+
+  render() {
+    this.listEl.innerHTML = '';
+    // You first, then hosts, guests and bots, each by join time
+    const order = { host: 0, guest: 1, bot: 2 };
+    [...this.entries.values()]
+      .sort((a, b) => (b.local - a.local) || (order[a.role] - order[b.role]) || (a.joinedAt - b.joinedAt))
+      .forEach((entry) => {
+        const li = document.createElement('li');
+        li.dataset.role = entry.role;
+
+        const name = document.createElement('span');
+        name.className = 'roster-name';
+        name.textContent = entry.local ? `${entry.name} (you)` : entry.name;
+
+        const role = document.createElement('span');
+        role.className = 'roster-role';
+        role.textContent = entry.role;
+
+        const devices = document.createElement('span');
+        devices.className = 'roster-devices';
+        devices.textContent = `${entry.mic ? 'mic on' : 'muted'} · ${entry.camera ? 'cam on' : 'cam off'}`;
+
+        const joined = document.createElement('time');
+        joined.dateTime = new Date(entry.joinedAt).toISOString();
+        joined.textContent = new Date(entry.joinedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+        li.append(name, role, devices, joined);
+        const actions = this.renderActions(entry);
+        if (actions) li.appendChild(actions);
+        this.listEl.appendChild(li);
+      });
+  }
+}
@@ -0,0 +1,226 @@
+/**
+ * Minimal RTVI client for talking to a Pipecat bot over Daily app messages.
+ *
+ * RTVI messages look like `{ label: 'rtvi-ai', type, id, data }`. Incoming
+ * messages are re-emitted to listeners by type (and to '*' listeners);
+ * requests the client sends are matched to the bot's response by `id`.
+ * See https://docs.pipecat.ai/client/rtvi-standard for the protocol.
+ */
+const RTVI_LABEL = 'rtvi-ai';
+const RTVI_VERSION = '1.0.0';
+const RTVI_RESPONSE_TYPES = ['action-response', 'server-response', 'error-response'];
+// Messages other clients send to the bot; a broadcast one may reach us too
+const RTVI_CLIENT_TYPES = [
+  'client-ready', 'send-text', 'append-to-context', 'client-message',
+  'llm-function-call-result', 'action', 'disconnect-bot',
+];
+
+class RtviClient {
+  /**
+   * @param {Object} options
+   * @param {Function} options.send - `(data, to) => void`, usually
+   * `call.sendAppMessage`.
+   * @param {number} [options.timeout] - How long to wait for responses (ms).
+   */
+  constructor({ send, timeout = 10000 }) {
+    this.sendRaw = send;
+    this.timeout = timeout;
+    this.botId = null;
+    this.greetedBotId = null; // bot we've sent client-ready to
+    this.ready = false;
+    this.botConfig = null;
+    this.listeners = new Map(); // type -> Set of callbacks
+    this.pending = new Map(); // request id -> { resolve, reject, timer }
+    this.functionHandlers = new Map(); // function name -> async (args) => result
+    this.llmText = '';
+  }
+
+  /**
+   * Subscribes to a server message type ('*' for all).
+   * @returns {Function} Unsubscribe function.
+   */
+  on(type, callback) {
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+    this.listeners.get(type).add(callback);
+    return () => this.listeners.get(type).delete(callback);
+  }
+
+  emit(type, message, fromId) {
+    [type, '*'].forEach((key) => {
+      this.listeners.get(key)?.forEach((callback) => {
+        try {
+          callback(message, fromId);
+        } catch (err) {
+          console.error(`RTVI listener for '${key}' failed`, err);
+        }
+      });
+    });
+  }
+
+  /**
+   * Registers a handler for an LLM function call the bot delegates to the
+   * client. The handler's return value is sent back as the call's result.
+   */
+  registerFunctionHandler(name, handler) {
+    this.functionHandlers.set(name, handler);
+  }
+
+  /**
+   * Handles an incoming RTVI message from the bot.
+   * @param {string} fromId - Session id of the bot.
+   * @param {Object} message - `{ label, type, id, data }`.
+   */
+  handleMessage(fromId, message) {
+    if (RTVI_CLIENT_TYPES.includes(message.type)) return;
+    if (fromId) this.botId = fromId;
+    const data = message.data || {};
+
+    if (RTVI_RESPONSE_TYPES.includes(message.type) && this.pending.has(message.id)) {
+      const { resolve, reject, timer } = this.pending.get(message.id);
+      clearTimeout(timer);
+      this.pending.delete(message.id);
+      if (message.type === 'error-response') reject(new Error(data.error || 'RTVI request failed'));
+      else resolve(data);
+      return;
+    }
+
+    switch (message.type) {
+      case 'bot-ready':
+        this.ready = true;
+        this.botConfig = data.config || null;
+        break;
+      case 'bot-llm-started':
+        this.llmText = '';
+        break;
+      case 'bot-llm-text':
+        this.llmText += data.text || '';
+        break;
+      case 'bot-llm-stopped':
+        // Hand listeners the full response alongside the stop event
+        message = { ...message, data: { ...data, text: this.llmText } };
+        break;
+      case 'llm-function-call':
+        this.handleFunctionCall(data);
+        break;
+      case 'error':
+        console.error('RTVI error from bot:', data.error, data.fatal ? '(fatal)' : '');
+        break;
+      default:
+        break;
+    }
+    this.emit(message.type, message, fromId);
+  }
+
+  async handleFunctionCall({ function_name: name, tool_call_id: toolCallId, args }) {
+    const handler = this.functionHandlers.get(name);
+    let result;
+    try {
+      result = handler ? await handler(args || {}) : { error: `No client handler for ${name}` };
+    } catch (err) {
+      result = { error: err.message };
+    }
+    this.send('llm-function-call-result', {
+      function_name: name,
+      tool_call_id: toolCallId,
+      arguments: args || {},
+      result,
+    });
+  }
+
+  /**
+   * Sends an RTVI message to the bot (broadcast if the bot isn't known yet).
+   * @returns {string} The message id.
+   */
+  send(type, data = {}) {
+    const id = this.createId();
+    this.sendRaw({ label: RTVI_LABEL, type, id, data }, this.botId || '*');
+    return id;
+  }
+
+  /**
+   * Sends an RTVI message and resolves with the bot's response data.
+   */
+  request(type, data = {}) {
+    return new Promise((resolve, reject) => {
+      const id = this.send(type, data);
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`The agent did not answer '${type}' within ${this.timeout}ms`));
+      }, this.timeout);
+      this.pending.set(id, { resolve, reject, timer });
+    });
+  }
+
+  /**
+   * Tells the bot the client is ready; it answers with `bot-ready`.
+   * @param {string} [botId] - Session id of the bot, if already known.
+   */
+  sendClientReady(botId) {
+    if (botId) this.botId = botId;
+    this.greetedBotId = this.botId;
+    this.send('client-ready', {
+      version: RTVI_VERSION,
+      about: { library: 'pipecat-meeting-sales-demo', platform: 'daily' },
+    });
+  }
+
+  /**
+   * Appends a message to the bot's LLM context. Resolves once the bot
+   * acknowledges it with a response carrying the same id.
+   * @param {Object} options
+   * @param {string} options.role - 'user', 'assistant' or 'system'.
+   * @param {string} options.content - Message text.
+   * @param {boolean} [options.runImmediately] - Have the bot respond now.
+   */
+  appendToContext({ role, content, runImmediately = false }) {
+    return this.request('append-to-context', { role, content, run_immediately: runImmediately });
+  }
+
+  /**
+   * Sends typed text as a user turn; the bot responds as if it was spoken.
+   * Resolves once the bot acknowledges it.
+   */
+  sendText(content, { audioResponse = true } = {}) {
+    return this.request('send-text', {
+      content,
+      options: { run_immediately: true, audio_response: audioResponse },
+    });
+  }
+
+  /**
+   * Asks the bot to stop talking.
+   */
+  interrupt() {
+    return this.send('client-message', { t: 'interrupt', d: {} });
+  }
+
+  /**
+   * Sends a custom client message and resolves with the bot's
+   * `server-response`.
+   */
+  sendClientMessage(t, d = {}) {
+    return this.request('client-message', { t, d });
+  }
+
+  /**
+   * Forgets the bot, e.g. when it leaves or the call ends.
+   */
+  reset() {
+    this.botId = null;
+    this.greetedBotId = null;
+    this.ready = false;
+    this.botConfig = null;
+    this.llmText = '';
+    this.pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(new Error('The agent left'));
+    });
+    this.pending.clear();
+  }
+
+  createId() {
+    return window.crypto?.randomUUID
+      ? window.crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+}
@@ -0,0 +1,293 @@
+/**
+ * The lead qualification scorecard, filled in live: the sales agent sends
+ * what it learns as `lead-field` messages (`{ field, value }`, either as a
+ * plain app message or inside an RTVI `server-message`), and reps edit the
+ * fields by hand. Hosts share edits with each other (never with the
+ * prospect) and every change is saved per room on the server
+ * (routes/scorecards.js), so a host joining later sees the same card.
+ */
+const SCORECARD_FRAMEWORKS = {
+  bant: [
+    { id: 'budget', label: 'Budget' },
+    { id: 'authority', label: 'Authority' },
+    { id: 'need', label: 'Need' },
+    { id: 'timeline', label: 'Timeline' },
+  ],
+  meddic: [
+    { id: 'metrics', label: 'Metrics' },
+    { id: 'economicBuyer', label: 'Economic buyer' },
+    { id: 'decisionCriteria', label: 'Decision criteria' },
+    { id: 'decisionProcess', label: 'Decision process' },
+    { id: 'identifyPain', label: 'Identified pain' },
+    { id: 'champion', label: 'Champion' },
+  ],
+};
+const SCORECARD_FIELD_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,31}$/;
+
+class LeadScorecard {
+  /**
+   * @param {Object} options
+   * @param {Object} options.call - The Daily call object.
+   * @param {AppMessageRouter} options.messages - For sharing edits with
+   * the other hosts.
+   * @param {HTMLElement} options.cardEl - The Scorecard card, shown only to
+   * hosts.
+   * @param {HTMLSelectElement} options.frameworkEl - BANT/MEDDIC picker.
+   * @param {HTMLProgressElement} options.progressEl - Fields filled in.
+   * @param {HTMLElement} options.progressLabelEl - "2 of 4 qualified".
+   * @param {HTMLElement} options.fieldsEl - One row per field.
+   * @param {Function} options.isBot - `(sessionId) => boolean`.
+   * @param {Function} options.resolveName - Maps a session id to a display
+   * name.
+   * @param {Function} options.hostHeaders - Returns the headers for the
+   * host-only scorecard routes.
+   * @param {Function} [options.hint] - `(fieldId) => string|null`, e.g. the
+   * playbook's question for the field.
+   */
+  constructor({ call, messages, cardEl, frameworkEl, progressEl, progressLabelEl, fieldsEl, isBot, resolveName, hostHeaders, hint = () => null }) {
+    this.call = call;
+    this.messages = messages;
+    this.cardEl = cardEl;
+    this.frameworkEl = frameworkEl;
+    this.progressEl = progressEl;
+    this.progressLabelEl = progressLabelEl;
+    this.fieldsEl = fieldsEl;
+    this.isBot = isBot;
+    this.resolveName = resolveName;
+    this.hostHeaders = hostHeaders;
+    this.hint = hint;
+    this.roomName = null;
+    this.framework = 'bant';
+    this.fields = {}; // field id -> { value, source, by, updatedAt }
+    this.rows = new Map(); // field id -> { el, input, meta }
+
+    this.frameworkEl.addEventListener('change', () => this.setFramework(this.frameworkEl.value));
+  }
+
+  get isHost() {
+    return !!this.call.participants().local?.owner;
+  }
+
+  /**
+   * Loads the room's scorecard after joining.
+   * @param {string} roomName - Daily room name.
+   */
+  async load(roomName) {
+    this.roomName = roomName;
+    this.framework = 'bant';
+    this.fields = {};
+    this.refresh();
+    if (!roomName || !this.isHost) return;
+    try {
+      const res = await fetch(`/rooms/${encodeURIComponent(roomName)}/scorecard`, {
+        headers: this.hostHeaders(),
+        cache: 'no-store',
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const card = await res.json();
+      this.framework = SCORECARD_FRAMEWORKS[card.framework] ? card.framework : 'bant';
+      // Anything that arrived while loading is newer than the saved card
+      this.fields = { ...card.fields, ...this.fields };
+      this.refresh();
+    } catch (err) {
+      console.warn('Failed to load the scorecard', err);
+    }
+  }
+
+  reset() {
+    this.roomName = null;
+    this.fields = {};
+    this.refresh();
+  }
+
+  /**
+   * Handles a `lead-field` message: from the agent, or a rep's edit shared
+   * by another host. Anyone else's is ignored.
+   * @param {Object} msg - `{ field, value }`.
+   * @param {string} fromId - Sender session id.
+   */
+  handleMessage(msg, fromId) {
+    if (!this.isHost) return;
+    const key = LeadScorecard.fieldId(msg.field);
+    if (!key) return;
+    const value = msg.value === undefined || msg.value === null ? '' : String(msg.value);
+
+    if (this.isBot(fromId)) {
+      const field = { value, source: 'agent', by: null, updatedAt: Date.now() };
+      this.apply(key, field);
+      // Every host saves what the agent sends; the server keeps the newest
+      this.save({ [key]: field });
+    } else if (this.call.participants()[fromId]?.owner) {
+      this.apply(key, {
+        value,
+        source: 'rep',
+        by: this.resolveName(fromId),
+        updatedAt: Number.isFinite(msg.updatedAt) ? msg.updatedAt : Date.now(),
+      });
+    }
+  }
+
+  /**
+   * Handles a `lead-framework` message from another host.
+   */
+  handleFrameworkMessage(msg, fromId) {
+    if (!this.isHost || !this.call.participants()[fromId]?.owner) return;
+    if (!SCORECARD_FRAMEWORKS[msg.framework]) return;
+    this.framework = msg.framework;
+    this.refresh();
+  }
+
+  /**
+   * The agent may name fields in snake_case or kebab-case
+   * (`economic_buyer`); the card uses camelCase ids.
+   * @returns {string|null}
+   */
+  static fieldId(name) {
+    const id = String(name || '').trim().replace(/[-_\s]+([A-Za-z0-9])/g, (_m, c) => c.toUpperCase());
+    return SCORECARD_FIELD_PATTERN.test(id) ? id : null;
+  }
+
+  apply(key, field) {
+    this.fields[key] = field;
+    // A field outside the framework gets its own row
+    if (!this.rows.has(key) && this.definitions().some((f) => f.id === key)) this.renderFields();
+    else this.updateRow(key, field.source === 'agent');
+    this.renderProgress();
+  }
+
+  /**
+   * A rep's edit: saved and shared with the other hosts.
+   */
+  edit(key, value) {
+    const current = this.fields[key];
+    if ((current ? current.value : '') === value) return;
+    const local = this.call.participants().local;
+    const field = {
+      value,
+      source: 'rep',
+      // Saved for everyone, so the rep's own name rather than "You"
+      by: local?.user_name || null,
+      updatedAt: Date.now(),
+    };
+    this.apply(key, field);
+    this.save({ [key]: field });
+    this.sendToHosts('lead-field', { field: key, value, updatedAt: field.updatedAt });
+  }
+
+  setFramework(framework) {
+    if (!SCORECARD_FRAMEWORKS[framework] || framework === this.framework) return;
+    this.framework = framework;
+    this.refresh();
+    this.save({}, framework);
+    this.sendToHosts('lead-framework', { framework });
+  }
+
+  /**
+   * Sends a message to each other host; the prospect never gets it.
+   */
+  sendToHosts(type, payload) {
+    Object.values(this.call.participants())
+      .filter((p) => !p.local && p.owner)
+      .forEach((p) => {
+        try {
+          this.messages.send(type, payload, p.session_id);
+        } catch (err) {
+          console.warn(`Failed to send ${type}`, err);
+        }
+      });
+  }
+
+  async save(fields, framework) {
+    if (!this.roomName) return;
+    try {
+      const res = await fetch(`/rooms/${encodeURIComponent(this.roomName)}/scorecard`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...this.hostHeaders() },
+        body: JSON.stringify({ fields, framework }),
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    } catch (err) {
+      console.warn('Failed to save the scorecard', err);
+    }
+  }
+
+  /**
+   * Field definitions for the card: the framework's, then any fields outside
+   * both frameworks the agent filled in.
+   */
+  definitions() {
+    const known = SCORECARD_FRAMEWORKS[this.framework];
+    const all = Object.values(SCORECARD_FRAMEWORKS).flat();
+    const extra = Object.keys(this.fields)
+      .filter((id) => !all.some((f) => f.id === id))
+      .map((id) => ({ id, label: id.replace(/([A-Z])/g, ' $1').replace(/^./, (c) => c.toUpperCase()) }));
+    return [...known, ...extra];
+  }
+
+  refresh() {
+    this.cardEl.hidden = !(this.roomName && this.isHost);
+    this.frameworkEl.value = this.framework;
+    this.renderFields();
+    this.renderProgress();
+  }
+
+  renderProgress() {
+    const known = SCORECARD_FRAMEWORKS[this.framework];
+    const filled = known.filter((f) => this.fields[f.id]?.value.trim()).length;
+    this.progressEl.max = known.length;
+    this.progressEl.value = filled;
+    this.progressLabelEl.textContent = `${filled} of ${known.length} qualified`;
+  }
+
+  renderFields() {
+    this.fieldsEl.innerHTML = '';
+    this.rows.clear();
+    this.definitions().forEach(({ id, label }) => {
+      const el = document.createElement('li');
+      const name = document.createElement('label');
+      name.textContent = label;
+      name.htmlFor = `scorecard-${id}`;
+      const input = document.createElement('textarea');
+      input.id = `scorecard-${id}`;
+      input.rows = 2;
+      input.placeholder = this.hint(id) || '';
+      input.addEventListener('change', () => this.edit(id, input.value.trim()));
+      const meta = document.createElement('div');
+      meta.className = 'scorecard-meta';
+      el.append(name, input, meta);
+      this.fieldsEl.appendChild(el);
+      this.rows.set(id, { el, input, meta });
+      this.updateRow(id, false);
+    });
+  }
+
+  updateRow(key, flash) {
+    const row = this.rows.get(key);
+    const field = this.fields[key];
+    if (!row) return;
+    // Don't overwrite what a rep is typing; their edit wins when they leave
+    // the field
+    if (document.activeElement !== row.input) row.input.value = field ? field.value : '';
+    row.el.dataset.source = field ? field.source : '';
+    row.meta.textContent = field && field.value
+      ? `${field.source === 'agent' ? 'Sales agent' : field.by || 'Rep'} · ${new Date(field.updatedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+      : '';
+    if (flash) {
+      row.el.classList.remove('scorecard-updated');
+      void row.el.offsetWidth; // restart the animation
+      row.el.classList.add('scorecard-updated');
+    }
+  }
+
+  /**
+   * The filled-in fields with their labels, for the meeting record.
+   */
+  toJSON() {
+    const labels = Object.fromEntries([...Object.values(SCORECARD_FRAMEWORKS).flat(), ...this.definitions()]
+      .map((f) => [f.id, f.label]));
+    const fields = Object.fromEntries(Object.entries(this.fields)
+      .filter(([, f]) => f.value)
+      .map(([id, f]) => [id, { label: labels[id] || id, ...f }]));
+    return { framework: this.framework, fields };
+  }
+}
@@ -0,0 +1,254 @@
+/**
+ * Per-tile view controls on the canvas, shown when hovering or focusing a
+ * tile:
+ * - pin: keeps the tile in place and on top in the free canvas, and makes
+ *   it the large tile in the automatic layouts (one pinned tile at a time);
+ * - maximise: fills the canvas with the tile until restored (or Escape);
+ * - picture-in-picture, for screen shares and the sales agent, so a rep can
+ *   keep the agent in view while working in another window.
+ *
+ * These are local view choices, not shared with the room. Tiles are updated
+ * in place, so the video in picture-in-picture stays put; `decorate()` is
+ * called after each participant update and only re-applies the state.
+ */
+const PIP_STATE_COLORS = {
+  listening: '#8f4fff',
+  thinking: '#f5b942',
+  speaking: '#6bffb5',
+};
+
+class TileControls {
+  /**
+   * @param {Object} options
+   * @param {HTMLElement} options.tilesEl - Parent of the tiles.
+   * @param {TileDragger} options.dragger - Locks pinned and maximised tiles.
+   * @param {HTMLButtonElement} options.screenButton - Maximises or restores
+   * the screen share.
+   * @param {Function} options.onChange - Called when a tile is pinned or
+   * unpinned, e.g. to re-flow the layout.
+   * @param {Function} options.onError - `(message) => void`.
+   */
+  constructor({ tilesEl, dragger, screenButton, onChange, onError }) {
+    this.tilesEl = tilesEl;
+    this.dragger = dragger;
+    this.screenButton = screenButton;
+    this.onChange = onChange;
+    this.onError = onError;
+    this.pinnedId = null;
+    this.maximizedId = null;
+    this.pip = null; // { tile, video, stop }
+
+    this.screenButton.addEventListener('click', () => {
+      const tile = this.screenTile();
+      if (tile) this.toggleMaximize(tile);
+    });
+    document.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape' || !this.maximizedId) return;
+      const tile = document.getElementById(this.maximizedId);
+      if (tile) this.toggleMaximize(tile);
+    });
+    // Forget tiles that leave the canvas
+    new MutationObserver(() => {
+      if (this.pinnedId && !document.getElementById(this.pinnedId)) this.pinnedId = null;
+      if (this.maximizedId && !document.getElementById(this.maximizedId)) this.maximizedId = null;
+      this.renderScreenButton();
+    }).observe(tilesEl, { childList: true });
+    this.renderScreenButton();
+  }
+
+  /**
+   * Adds the toolbar to a tile (if missing) and re-applies its state.
+   * @param {HTMLElement|null} tile - Webcam, avatar or screen share tile.
+   */
+  decorate(tile) {
+    if (!tile) return;
+    if (!tile.querySelector('.tile-toolbar')) {
+      const toolbar = document.createElement('div');
+      toolbar.className = 'tile-toolbar';
+      toolbar.dataset.noDrag = '';
+      const button = (className, onClick) => {
+        const btn = document.createElement('button');
+        btn.className = `btn-ghost ${className}`;
+        btn.dataset.noDrag = '';
+        btn.addEventListener('click', onClick);
+        toolbar.appendChild(btn);
+      };
+      button('tile-pin', () => this.togglePin(tile));
+      button('tile-maximize', () => this.toggleMaximize(tile));
+      button('tile-pip', () => this.togglePictureInPicture(tile));
+      tile.appendChild(toolbar);
+    }
+    this.render(tile);
+  }
+
+  render(tile) {
+    const pinned = tile.id === this.pinnedId;
+    const maximized = tile.id === this.maximizedId;
+    const inPip = this.pip?.tile === tile;
+    tile.classList.toggle('pinned', pinned);
+    tile.classList.toggle('maximized', maximized);
+    this.dragger.setLocked(tile, pinned || maximized);
+
+    const set = (selector, text, label, pressed) => {
+      const btn = tile.querySelector(selector);
+      btn.textContent = text;
+      btn.title = label;
+      btn.setAttribute('aria-label', label);
+      btn.setAttribute('aria-pressed', String(pressed));
+    };
+    set('.tile-pin', '📌', pinned ? 'Unpin' : 'Pin', pinned);
+    set('.tile-maximize', maximized ? '⤡' : '⤢', maximized ? 'Restore' : 'Maximise', maximized);
+    set('.tile-pip', '⧉', inPip ? 'Close picture-in-picture' : 'Picture-in-picture', inPip);
+    tile.querySelector('.tile-pip').hidden = !this.canPip(tile);
+  }
+
+  renderAll() {
+    this.tilesEl.querySelectorAll('.video-container').forEach((tile) => {
+      if (tile.querySelector('.tile-toolbar')) this.render(tile);
+    });
+    this.renderScreenButton();
+  }
+
+  renderScreenButton() {
+    const tile = this.screenTile();
+    this.screenButton.disabled = !tile;
+    this.screenButton.textContent = tile && tile.id === this.maximizedId ? 'Restore Screen' : 'Maximise Screen';
+  }
+
+  screenTile() {
+    return this.tilesEl.querySelector('.screen-share-container');
+  }
+
+  canPip(tile) {
+    return !!document.pictureInPictureEnabled
+      && (tile.classList.contains('screen-share-container') || tile.classList.contains('agent-tile'));
+  }
+
+  togglePin(tile) {
+    this.pinnedId = tile.id === this.pinnedId ? null : tile.id;
+    if (this.pinnedId) this.dragger.bringToFront(tile);
+    this.renderAll();
+    this.onChange();
+  }
+
+  toggleMaximize(tile) {
+    this.maximizedId = tile.id === this.maximizedId ? null : tile.id;
+    this.renderAll();
+  }
+
+  /**
+   * Opens the tile in picture-in-picture, or closes it if it's already
+   * there. Tiles without a playing video (the agent's avatar) are drawn to
+   * a canvas and its stream is shown instead.
+   */
+  async togglePictureInPicture(tile) {
+    if (!document.pictureInPictureEnabled) {
+      this.onError('Picture-in-picture isn’t supported in this browser.');
+      return;
+    }
+    const wasOpen = this.pip?.tile === tile;
+    try {
+      if (document.pictureInPictureElement) await document.exitPictureInPicture();
+      if (wasOpen) return;
+
+      const live = tile.querySelector('video');
+      const source = live?.srcObject && live.readyState >= 1
+        ? { video: live, stop: () => {} }
+        : await this.mirror(tile);
+      try {
+        await source.video.requestPictureInPicture();
+      } catch (err) {
+        source.stop();
+        throw err;
+      }
+      this.pip = { tile, ...source };
+      source.video.addEventListener('leavepictureinpicture', () => this.closed(source.video), { once: true });
+      this.render(tile);
+    } catch (err) {
+      console.error('Failed to open picture-in-picture', err);
+      this.onError(`Couldn't open picture-in-picture: ${err.message}`);
+    }
+  }
+
+  closed(video) {
+    if (this.pip?.video !== video) return;
+    const { tile, stop } = this.pip;
+    this.pip = null;
+    stop();
+    if (tile.isConnected) this.render(tile);
+  }
+
+  /**
+   * A hidden video of the tile drawn to a canvas about 10 times a second:
+   * the agent's name and listening/thinking/speaking state.
+   * @returns {Promise<{video: HTMLVideoElement, stop: Function}>}
+   */
+  async mirror(tile) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 320;
+    canvas.height = 180;
+    const ctx = canvas.getContext('2d');
+    const draw = () => {
+      if (!tile.isConnected) {
+        // The tile left the canvas (e.g. the agent left the call)
+        if (document.pictureInPictureElement === video) document.exitPictureInPicture().catch(() => {});
+        return;
+      }
+      const state = tile.dataset.agentState || '';
+      const color = PIP_STATE_COLORS[state] || '#4f8bff';
+      const name = tile.querySelector('.agent-name, .tile-name')?.textContent || '';
+      const gradient = ctx.createLinearGradient(0, 0, canvas.width, canvas.height);
+      gradient.addColorStop(0, '#3b1f6e');
+      gradient.addColorStop(1, '#1b3a5e');
+      ctx.fillStyle = gradient;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+      ctx.beginPath();
+      ctx.arc(160, 70, 42, 0, Math.PI * 2);
+      ctx.lineWidth = state === 'speaking' ? 6 : 3;
+      ctx.strokeStyle = color;
+      ctx.stroke();
+      ctx.fillStyle = '#fff';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.font = '600 28px system-ui, sans-serif';
+      ctx.fillText(tile.querySelector('.avatar-label')?.textContent || '', 160, 70);
+      ctx.font = '600 15px system-ui, sans-serif';
+      ctx.fillText(name, 160, 134);
+      ctx.fillStyle = color;
+      ctx.font = '12px system-ui, sans-serif';
+      ctx.fillText(state.toUpperCase(), 160, 158);
+    };
+
+    const video = document.createElement('video');
+    video.className = 'pip-source';
+    video.muted = true;
+    video.playsInline = true;
+    draw();
+    video.srcObject = canvas.captureStream(10);
+    const timer = setInterval(draw, 100);
+    const stop = () => {
+      clearInterval(timer);
+      video.srcObject.getTracks().forEach((t) => t.stop());
+      video.remove();
+    };
+    document.body.appendChild(video);
+    try {
+      await video.play();
+    } catch (err) {
+      stop();
+      throw err;
+    }
+    return { video, stop };
+  }
+
+  /**
+   * Closes picture-in-picture and clears pins, e.g. after leaving the call.
+   */
+  reset() {
+    if (document.pictureInPictureElement) document.exitPictureInPicture().catch(() => {});
+    this.pinnedId = null;
+    this.maximizedId = null;
+    this.renderAll();
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * Live transcript of the call: speaker-attributed, timestamped user and bot
+ * utterances. Fed by Daily's `transcription-message` events and by the bot's
+ * RTVI `user-transcription` / `bot-transcription` messages. Interim results
+ * update the speaker's open line in place until a final result closes it.
+ */
+class TranscriptPanel {
+  /**
+   * @param {Object} options
+   * @param {HTMLElement} options.listEl - The `#transcript` list.
+   * @param {Function} options.resolveName - Maps a session id to a display
+   * name.
+   */
+  constructor({ listEl, resolveName }) {
+    this.listEl = listEl;
+    this.resolveName = resolveName;
+    this.entries = [];
+    this.open = new Map(); // speaker key -> entry still receiving text
+    this.nextId = 1;
+  }
+
+  /**
+   * Handles Daily's `transcription-message` event.
+   * @param {Object} event - `{ participantId, text, timestamp, rawResponse }`.
+   */
+  handleDailyTranscription(event) {
+    if (!event || !event.text) return;
+    const raw = event.rawResponse || {};
+    // Daily only sends finals unless interim results are enabled
+    const final = raw.is_final !== undefined ? !!raw.is_final : true;
+    this.addUtterance({
+      speakerId: event.participantId,
+      role: 'user',
+      text: event.text,
+      ts: event.timestamp ? new Date(event.timestamp).getTime() : Date.now(),
+      final,
+    });
+  }
+
+  /**
+   * Handles RTVI transcription messages from the bot.
+   * @param {string} fromId - Session id of the bot that sent the message.
+   * @param {Object} message - RTVI message (`type`, `data`).
+   */
+  handleRtviMessage(fromId, message) {
+    const data = message.data || {};
+    switch (message.type) {
+      case 'user-transcription':
+        if (!data.text) return;
+        this.addUtterance({
+          speakerId: data.user_id || 'user',
+          role: 'user',
+          text: data.text,
+          ts: data.timestamp ? new Date(data.timestamp).getTime() : Date.now(),
+          final: data.final !== false,
+        });
+        break;
+      case 'bot-transcription':
+        if (!data.text) return;
+        this.appendBotText(fromId, data.text);
+        break;
+      case 'bot-stopped-speaking':
+      case 'user-started-speaking':
+        this.close(`bot:${fromId}`);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Adds or updates a user utterance. Interim text replaces the speaker's
+   * open line; a final result replaces it and closes the line.
+   */
+  addUtterance({ speakerId, role, text, ts, final }) {
+    const key = `${role}:${speakerId}`;
+    let entry = this.open.get(key);
+    if (!entry) {
+      entry = this.createEntry({ speakerId, role, ts });
+      this.open.set(key, entry);
+    }
+    entry.text = text;
+    if (final) {
+      // The next result for this speaker starts a new line
+      this.close(key);
+    } else {
+      this.render(entry);
+    }
+  }
+
+  /**
+   * Appends a sentence from `bot-transcription` to the bot's current turn.
+   */
+  appendBotText(botId, text) {
+    const key = `bot:${botId}`;
+    let entry = this.open.get(key);
+    if (!entry) {
+      // A new bot turn: whatever the users said before is done
+      [...this.open.keys()].filter((k) => k.startsWith('user:')).forEach((k) => this.close(k));
+      entry = this.createEntry({ speakerId: botId, role: 'bot', ts: Date.now() });
+      this.open.set(key, entry);
+    }
+    entry.text = `${entry.text} ${text}`.trim();
+    this.render(entry);
+  }
+
+  createEntry({ speakerId, role, ts }) {
+    const entry = { id: this.nextId++, speakerId, role, text: '', ts, final: false };
+    this.entries.push(entry);
+    return entry;
+  }
+
+  close(key) {
+    const entry = this.open.get(key);
+    if (!entry) return;
+    this.open.delete(key);
+    entry.final = true;
+    this.render(entry);
+  }
+
+  /**
+   * Returns the transcript as plain records (speaker, role, text, ts).
+   * @param {Function} [resolveName] - Names speakers instead of the panel's
+   * resolver, e.g. with real names where the panel shows "You".
+   */
+  toJSON(resolveName = this.resolveName) {
+    return this.entries
+      .filter((e) => e.text)
+      .map(({ speakerId, role, text, ts, final }) => ({
+        speakerId,
+        speakerName: this.speakerName({ speakerId, role }, resolveName),
+        role,
+        text,
+        ts,
+        final,
+      }));
+  }
+
+  clear() {
+    this.entries = [];
+    this.open.clear();
+    if (this.listEl) this.listEl.innerHTML = '';
+  }
+
+  speakerName(entry, resolveName = this.resolveName) {
+    if (entry.role === 'bot') return resolveName(entry.speakerId) || 'Sales Agent';
+    return resolveName(entry.speakerId) || 'Prospect';
+  }
+
+  render(entry) {
+    if (!this.listEl) return;
+    let li = this.listEl.querySelector(`[data-entry-id="${entry.id}"]`);
+    if (!li) {
+      li = document.createElement('li');
+      li.dataset.entryId = entry.id;
+      li.className = `transcript-${entry.role}`;
+      const meta = document.createElement('div');
+      meta.className = 'transcript-meta';
+      const text = document.createElement('div');
+      text.className = 'transcript-text';
+      li.append(meta, text);
+      this.listEl.appendChild(li);
+    }
+    const time = new Date(entry.ts).toLocaleTimeString();
+    li.querySelector('.transcript-meta').textContent = `${time} · ${this.speakerName(entry)}`;
+    li.querySelector('.transcript-text').textContent = entry.text;
+    li.classList.toggle('interim', !entry.final);
+
+    // Keep following the conversation unless the rep scrolled up
+    const nearBottom = this.listEl.scrollHeight - this.listEl.scrollTop - this.listEl.clientHeight < 60;
+    if (nearBottom) this.listEl.scrollTop = this.listEl.scrollHeight;
+  }
+}
@@ -0,0 +1,211 @@
+// routes/assets.js
+// Presentation assets shared on a room's canvas: images (one or more, shown
+// as slides) and PDFs. Files are uploaded as raw request bodies and kept
+// under DATA_DIR/assets/<room>/<asset>/; the store keeps each room's assets
+// with where they sit on the canvas and which slide is showing, so people
+// joining later see the same thing.
+
+const crypto = require('crypto');
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { checkRoomId } = require('../lib/room-ids');
+
+const ASSET_ID_PATTERN = /^[a-f0-9]{16}$/;
+const FILE_NAME_PATTERN = /^\d{1,3}\.[a-z]{3,4}$/;
+// SVG is left out on purpose: served from our origin it could run script
+const TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'application/pdf': 'pdf',
+};
+const MAX_ASSETS_PER_ROOM = 30;
+const MAX_SLIDES = 100;
+
+const clamp01 = (value) => Math.min(1, Math.max(0, Number(value) || 0));
+
+/**
+ * Best-effort page count of a PDF; null when the page tree is compressed
+ * and can't be read without a PDF library.
+ */
+function countPdfPages(buffer) {
+  const text = buffer.toString('latin1');
+  const pages = (text.match(/\/Type\s*\/Page(?![a-zA-Z])/g) || []).length;
+  if (pages) return pages;
+  const counts = [...text.matchAll(/\/Count\s+(\d+)/g)].map((m) => Number(m[1]));
+  return counts.length ? Math.max(...counts) : null;
+}
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.store - Store from lib/json-store.js, keyed by room.
+ * @param {string} deps.dir - Directory the uploaded files are written to.
+ * @param {Object} deps.settings - `maxBytes`, the largest file accepted.
+ */
+function createAssetsRouter({ store, dir, settings }) {
+  const router = express.Router();
+  const upload = express.raw({ type: () => true, limit: settings.maxBytes });
+
+  const assetDir = (roomId, assetId) => path.join(dir, roomId, assetId);
+  const fileUrl = (roomId, assetId, file) => `/rooms/${roomId}/assets/${assetId}/files/${file}`;
+
+  const findAsset = (req, res) => {
+    const asset = (store.get(req.params.id) || []).find((a) => a.id === req.params.assetId);
+    if (!asset) res.status(404).json({ error: 'Asset not found' });
+    return asset;
+  };
+
+  // Checks an uploaded body and returns its file extension, or sends a 4xx
+  const checkUpload = (req, res) => {
+    const type = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const ext = TYPES[type];
+    if (!ext) {
+      res.status(415).json({ error: `Unsupported file type; use ${Object.keys(TYPES).join(', ')}` });
+      return null;
+    }
+    if (!Buffer.isBuffer(req.body) || !req.body.length) {
+      res.status(400).json({ error: 'The file is empty' });
+      return null;
+    }
+    return ext;
+  };
+
+  const writeFile = async (roomId, assetId, index, ext, body) => {
+    const file = `${index}.${ext}`;
+    await fs.promises.mkdir(assetDir(roomId, assetId), { recursive: true });
+    await fs.promises.writeFile(path.join(assetDir(roomId, assetId), file), body);
+    return fileUrl(roomId, assetId, file);
+  };
+
+  router.param('id', checkRoomId);
+
+  router.param('assetId', (req, res, next, id) => {
+    if (!ASSET_ID_PATTERN.test(id)) {
+      return res.status(400).json({ error: 'Invalid asset id' });
+    }
+    next();
+  });
+
+  router.get('/rooms/:id/assets', (req, res) => {
+    res.json({ assets: store.get(req.params.id) || [] });
+  });
+
+  // Raw file body with its Content-Type; `?name=` is the title shown
+  router.post('/rooms/:id/assets', upload, async (req, res) => {
+    const ext = checkUpload(req, res);
+    if (!ext) return;
+    const roomId = req.params.id;
+    if ((store.get(roomId) || []).length >= MAX_ASSETS_PER_ROOM) {
+      return res.status(409).json({ error: `A room can hold at most ${MAX_ASSETS_PER_ROOM} assets` });
+    }
+
+    const id = crypto.randomBytes(8).toString('hex');
+    const isPdf = ext === 'pdf';
+    try {
+      const url = await writeFile(roomId, id, 0, ext, req.body);
+      const asset = {
+        id,
+        name: String(req.query.name || 'Untitled').slice(0, 120),
+        kind: isPdf ? 'pdf' : 'images',
+        files: [url],
+        pages: isPdf ? countPdfPages(req.body) : 1,
+        page: 0,
+        // Centred, half the canvas wide; positions are relative like the
+        // tile layout (x/y of the free space, w/h of the canvas)
+        x: 0.5,
+        y: 0.5,
+        w: 0.5,
+        h: 0.5,
+        createdAt: Date.now(),
+      };
+      await store.update(roomId, (assets = []) => [...assets, asset]);
+      res.status(201).json(asset);
+    } catch (err) {
+      console.error('Failed to save asset:', err.message);
+      res.status(500).json({ error: 'Could not save the file' });
+    }
+  });
+
+  // Adds another slide to an image asset
+  router.post('/rooms/:id/assets/:assetId/files', upload, async (req, res) => {
+    const asset = findAsset(req, res);
+    if (!asset) return;
+    const ext = checkUpload(req, res);
+    if (!ext) return;
+    if (asset.kind !== 'images' || ext === 'pdf') {
+      return res.status(400).json({ error: 'Only images can be added as slides' });
+    }
+    if (asset.files.length >= MAX_SLIDES) {
+      return res.status(409).json({ error: `An asset can hold at most ${MAX_SLIDES} slides` });
+    }
+
+    try {
+      const url = await writeFile(req.params.id, asset.id, asset.files.length, ext, req.body);
+      let updated;
+      await store.update(req.params.id, (assets = []) => assets.map((a) => {
+        if (a.id !== asset.id) return a;
+        updated = { ...a, files: [...a.files, url], pages: a.files.length + 1 };
+        return updated;
+      }));
+      res.status(201).json(updated);
+    } catch (err) {
+      console.error('Failed to save asset file:', err.message);
+      res.status(500).json({ error: 'Could not save the file' });
+    }
+  });
+
+  // `{ x?, y?, w?, h?, page? }`
+  router.put('/rooms/:id/assets/:assetId', async (req, res) => {
+    const asset = findAsset(req, res);
+    if (!asset) return;
+    const body = req.body || {};
+    const changes = {};
+    ['x', 'y'].forEach((key) => {
+      if (body[key] !== undefined) changes[key] = clamp01(body[key]);
+    });
+    ['w', 'h'].forEach((key) => {
+      if (body[key] !== undefined) changes[key] = Math.max(0.05, clamp01(body[key]));
+    });
+    if (body.page !== undefined) {
+      const last = asset.pages ? asset.pages - 1 : Infinity;
+      changes.page = Math.min(last, Math.max(0, parseInt(body.page, 10) || 0));
+    }
+
+    let updated;
+    await store.update(req.params.id, (assets = []) => assets.map((a) => {
+      if (a.id !== asset.id) return a;
+      updated = { ...a, ...changes };
+      return updated;
+    }));
+    res.json(updated);
+  });
+
+  router.delete('/rooms/:id/assets/:assetId', async (req, res) => {
+    const asset = findAsset(req, res);
+    if (!asset) return;
+    await store.update(req.params.id, (assets = []) => assets.filter((a) => a.id !== asset.id));
+    try {
+      await fs.promises.rm(assetDir(req.params.id, asset.id), { recursive: true, force: true });
+    } catch (err) {
+      console.warn('Failed to remove asset files:', err.message);
+    }
+    res.json({ deleted: true, id: asset.id });
+  });
+
+  router.get('/rooms/:id/assets/:assetId/files/:file', (req, res) => {
+    const asset = findAsset(req, res);
+    if (!asset) return;
+    const { file } = req.params;
+    if (!FILE_NAME_PATTERN.test(file) || !asset.files.includes(fileUrl(req.params.id, asset.id, file))) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.sendFile(path.join(assetDir(req.params.id, asset.id), file));
+  });
+
+  return router;
+}
+
+module.exports = { createAssetsRouter };
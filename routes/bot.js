@@ -0,0 +1,128 @@
+// routes/bot.js
+// Starts and stops the Pipecat sales agent for a room through the bot runner.
+// One bot per room; the server remembers which bot it dispatched where.
+
+const express = require('express');
+const { roomNameFromUrl } = require('../lib/daily-api');
+
+const BOT_TOKEN_TTL_SECONDS = 2 * 60 * 60;
+const ACTIVE_STATUSES = ['starting', 'running'];
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.runner - Client from lib/bot-runner.js (or the stub).
+ * @param {Object|null} deps.daily - Daily client used to mint the bot's
+ * token, or null when the server can't mint tokens.
+ * @param {Object} deps.settings - `roomUrl` (default room), `domain`, the
+ * host of this deployment's Daily rooms, and `botName` and `botUserId`, the
+ * user name and id the bot joins with.
+ */
+function createBotRouter({ runner, daily, settings }) {
+  const router = express.Router();
+  const bots = new Map(); // "<domain>/<room name>" -> { botId, roomUrl, status, startedAt }
+
+  // Only rooms on our own Daily domain: the bot gets a token for the room
+  // and the runner is sent to the URL. Returns `{ status, error }` otherwise.
+  const resolveRoom = (roomUrl) => {
+    const url = roomUrl || settings.roomUrl;
+    const roomName = roomNameFromUrl(url);
+    if (!roomName) return { status: 400, error: 'A valid roomUrl is required' };
+    if (!settings.domain) return { status: 500, error: 'DAILY_DOMAIN is not configured' };
+    if (new URL(url).host !== settings.domain) {
+      return { status: 400, error: `roomUrl must be a room on ${settings.domain}` };
+    }
+    return { url, roomName, key: `${settings.domain}/${roomName}` };
+  };
+
+  const view = (roomName, bot) => ({
+    roomName,
+    botId: bot ? bot.botId : null,
+    status: bot ? bot.status : 'stopped',
+    startedAt: bot ? bot.startedAt : null,
+  });
+
+  const sendError = (res, err, action) => {
+    console.error(`Failed to ${action}:`, err.message);
+    res.status(err.status && err.status < 500 ? err.status : 502).json({ error: err.message });
+  };
+
+  router.get('/bot/status', async (req, res) => {
+    const room = resolveRoom(req.query.roomUrl);
+    if (room.error) return res.status(room.status).json({ error: room.error });
+
+    const bot = bots.get(room.key);
+    if (bot && bot.botId && ACTIVE_STATUSES.includes(bot.status)) {
+      try {
+        bot.status = (await runner.status(bot.botId)).status || bot.status;
+      } catch (err) {
+        if (err.status === 404) bot.status = 'stopped';
+        else return sendError(res, err, 'get bot status');
+      }
+    }
+    res.json(view(room.roomName, bot));
+  });
+
+  router.post('/bot/start', async (req, res) => {
+    const room = resolveRoom(req.body && req.body.roomUrl);
+    if (room.error) return res.status(room.status).json({ error: room.error });
+
+    const existing = bots.get(room.key);
+    if (existing && ACTIVE_STATUSES.includes(existing.status)) {
+      return res.status(409).json({ error: 'The sales agent is already in this room', ...view(room.roomName, existing) });
+    }
+
+    // Claim the room before awaiting anything (no botId until the runner
+    // answers), so a second start from a double click or another host gets
+    // the 409 instead of dispatching another bot
+    const pending = { botId: null, roomUrl: room.url, status: 'starting', startedAt: Date.now() };
+    bots.set(room.key, pending);
+
+    try {
+      let token;
+      if (daily) {
+        token = await daily.createMeetingToken({
+          room_name: room.roomName,
+          user_name: settings.botName,
+          user_id: settings.botUserId,
+          exp: Math.floor(Date.now() / 1000) + BOT_TOKEN_TTL_SECONDS,
+        });
+      }
+      const result = await runner.start({
+        roomUrl: room.url,
+        token,
+        config: { bot_name: settings.botName },
+      });
+      Object.assign(pending, { botId: result.bot_id, status: result.status || 'starting' });
+      res.status(201).json(view(room.roomName, pending));
+    } catch (err) {
+      if (bots.get(room.key) === pending) bots.delete(room.key);
+      sendError(res, err, 'start bot');
+    }
+  });
+
+  router.post('/bot/stop', async (req, res) => {
+    const room = resolveRoom(req.body && req.body.roomUrl);
+    if (room.error) return res.status(room.status).json({ error: room.error });
+
+    const bot = bots.get(room.key);
+    if (!bot || !ACTIVE_STATUSES.includes(bot.status)) {
+      return res.json(view(room.roomName, bot));
+    }
+    if (!bot.botId) {
+      return res.status(409).json({ error: 'The sales agent is still being started', ...view(room.roomName, bot) });
+    }
+    try {
+      await runner.stop(bot.botId);
+      bot.status = 'stopped';
+    } catch (err) {
+      // The runner no longer knows the bot, so it is gone either way
+      if (err.status !== 404) return sendError(res, err, 'stop bot');
+      bot.status = 'stopped';
+    }
+    res.json(view(room.roomName, bot));
+  });
+
+  return router;
+}
+
+module.exports = { createBotRouter };
@@ -0,0 +1,54 @@
+// routes/layout.js
+// Shared canvas layout per room: tile positions (and sizes of resized tiles)
+// relative to the canvas size (0..1), keyed by tile (e.g. "video:<user>"),
+// so the arrangement survives reloads and rejoins.
+
+const express = require('express');
+const { checkRoomId } = require('../lib/room-ids');
+
+const MAX_TILES = 200;
+
+const clamp01 = (value) => Math.min(1, Math.max(0, Number(value) || 0));
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.store - Store from lib/json-store.js, keyed by room.
+ */
+function createLayoutRouter({ store }) {
+  const router = express.Router();
+
+  router.param('id', checkRoomId);
+
+  router.get('/rooms/:id/layout', (req, res) => {
+    res.json({ positions: store.get(req.params.id) || {} });
+  });
+
+  // Merges `{ positions: { key: { x, y, w?, h? } } }` into the room's layout
+  router.put('/rooms/:id/layout', async (req, res) => {
+    const incoming = req.body && req.body.positions;
+    if (!incoming || typeof incoming !== 'object') {
+      return res.status(400).json({ error: 'positions is required' });
+    }
+
+    const positions = await store.update(req.params.id, (current = {}) => {
+      const next = { ...current };
+      Object.entries(incoming).forEach(([key, pos]) => {
+        // "__proto__" would set the object's prototype instead of a tile
+        if (key.length > 200 || key === '__proto__' || !pos || typeof pos !== 'object') return;
+        const size = pos.w !== undefined && pos.h !== undefined
+          ? { w: Math.max(0.02, clamp01(pos.w)), h: Math.max(0.02, clamp01(pos.h)) }
+          : {};
+        next[key] = { x: clamp01(pos.x), y: clamp01(pos.y), ...size, ts: Date.now() };
+      });
+      // Drop the oldest tiles if a room accumulates too many
+      return Object.fromEntries(
+        Object.entries(next).sort((a, b) => b[1].ts - a[1].ts).slice(0, MAX_TILES)
+      );
+    });
+    res.json({ positions });
+  });
+
+  return router;
+}
+
+module.exports = { createLayoutRouter };
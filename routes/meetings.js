@@ -0,0 +1,165 @@
+// routes/meetings.js
+// Meeting records saved by the frontend after leaving, with a sales summary
+// and JSON/Markdown exports for the CRM. Hosts only (see lib/host-auth.js):
+// records hold the transcript and the internal summary.
+
+const crypto = require('crypto');
+const express = require('express');
+const { toMarkdown } = require('../lib/meeting-export');
+const { requireHost } = require('../lib/host-auth');
+
+const MAX_ENTRIES = 5000;
+const SESSION_ID_PATTERN = /^[A-Za-z0-9-]{1,64}$/;
+
+/**
+ * Keeps only the fields and sizes we expect from the frontend's record.
+ */
+function sanitizeRecord(body) {
+  // Entries that aren't objects (null, strings, ...) are dropped
+  const arr = (value) => (Array.isArray(value)
+    ? value.filter((item) => item && typeof item === 'object' && !Array.isArray(item)).slice(0, MAX_ENTRIES)
+    : []);
+  const str = (value, max = 4000) => (typeof value === 'string' ? value.slice(0, max) : '');
+  const num = (value) => (Number.isFinite(Number(value)) ? Number(value) : null);
+  // { processor: ms } maps from Pipecat metrics
+  const timings = (value) => Object.fromEntries(Object.entries(value && typeof value === 'object' ? value : {})
+    .slice(0, 20)
+    .map(([processor, ms]) => [processor.slice(0, 64), num(ms)]));
+
+  return {
+    roomName: str(body.roomName, 128) || null,
+    roomUrl: str(body.roomUrl, 512) || null,
+    // Daily's meeting session id, shared by everyone in the same meeting
+    sessionId: SESSION_ID_PATTERN.test(body.sessionId) ? body.sessionId : null,
+    startedAt: num(body.startedAt),
+    endedAt: num(body.endedAt) || Date.now(),
+    participants: arr(body.participants).map((p) => ({
+      id: str(p.id, 64),
+      name: str(p.name, 64) || 'Guest',
+      role: ['host', 'guest', 'bot'].includes(p.role) ? p.role : 'guest',
+      joinedAt: num(p.joinedAt),
+      leftAt: num(p.leftAt),
+    })),
+    speakerTimeline: arr(body.speakerTimeline).map((s) => ({
+      participantId: str(s.participantId, 64),
+      name: str(s.name, 64) || null,
+      at: num(s.at),
+    })),
+    messages: arr(body.messages).map((m) => ({
+      id: str(m.id, 64),
+      senderName: str(m.senderName, 64) || 'Guest',
+      text: str(m.text),
+      ts: num(m.ts),
+    })),
+    transcript: arr(body.transcript).map((e) => ({
+      speakerId: str(e.speakerId, 64),
+      speakerName: str(e.speakerName, 64),
+      role: e.role === 'bot' ? 'bot' : 'user',
+      text: str(e.text),
+      ts: num(e.ts),
+    })),
+    scorecard: body.scorecard && typeof body.scorecard === 'object' ? {
+      framework: str(body.scorecard.framework, 16) || null,
+      fields: Object.fromEntries(Object.entries(body.scorecard.fields || {})
+        .slice(0, 50)
+        .map(([key, f]) => [key.slice(0, 32), {
+          label: str(f && f.label, 64) || key.slice(0, 32),
+          value: str(f && f.value, 1000),
+          source: f && f.source === 'agent' ? 'agent' : 'rep',
+          by: str(f && f.by, 64) || null,
+        }])),
+    } : null,
+    latency: arr(body.latency).map((t) => ({
+      at: num(t.at),
+      latencyMs: num(t.latencyMs),
+      source: str(t.source, 16),
+      ttfb: timings(t.ttfb),
+      processing: timings(t.processing),
+    })),
+  };
+}
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.store - Store from lib/json-store.js, keyed by
+ * meeting id.
+ * @param {Object} deps.summarizer - From lib/summarizer.js.
+ * @param {Object} deps.settings - `hostPasscode`, required for every route.
+ */
+function createMeetingsRouter({ store, summarizer, settings }) {
+  const router = express.Router();
+  router.use('/meetings', requireHost(settings.hostPasscode, 'Saving and reading meeting records'));
+
+  const findMeeting = (req, res) => {
+    const meeting = store.get(req.params.id);
+    if (!meeting) res.status(404).json({ error: 'Meeting not found' });
+    return meeting;
+  };
+
+  // Newest first; ?room=<name> narrows to one room
+  router.get('/meetings', (req, res) => {
+    const meetings = store.keys()
+      .map((id) => store.get(id))
+      .filter((m) => !req.query.room || m.record.roomName === req.query.room)
+      .sort((a, b) => b.record.startedAt - a.record.startedAt)
+      .map(({ id, record, summary }) => ({
+        id,
+        roomName: record.roomName,
+        startedAt: record.startedAt,
+        endedAt: record.endedAt,
+        participants: record.participants.length,
+        overview: summary.overview,
+      }));
+    res.json({ meetings });
+  });
+
+  // One record per meeting: hosts of the same meeting session save to the
+  // same id, and the record that ends last (covers the most) is kept
+  router.post('/meetings', async (req, res) => {
+    const record = sanitizeRecord(req.body || {});
+    if (!record.startedAt) {
+      return res.status(400).json({ error: 'startedAt is required' });
+    }
+    const suffix = record.sessionId
+      ? crypto.createHash('sha256').update(`${record.roomName}:${record.sessionId}`).digest('hex').slice(0, 8)
+      : crypto.randomBytes(4).toString('hex');
+    const id = `${record.roomName || 'meeting'}-${suffix}`;
+    const existing = store.get(id);
+    if (existing && existing.record.endedAt > record.endedAt) {
+      return res.json({ id, summary: existing.summary });
+    }
+    try {
+      const summary = await summarizer.summarize(record);
+      const meeting = { id, record, summary, createdAt: existing ? existing.createdAt : Date.now() };
+      await store.set(id, meeting);
+      res.status(existing ? 200 : 201).json({ id, summary });
+    } catch (err) {
+      console.error('Failed to save meeting:', err.message);
+      res.status(500).json({ error: 'Failed to save meeting' });
+    }
+  });
+
+  router.get('/meetings/:id', (req, res) => {
+    const meeting = findMeeting(req, res);
+    if (meeting) res.json(meeting);
+  });
+
+  router.get('/meetings/:id/export.json', (req, res) => {
+    const meeting = findMeeting(req, res);
+    if (!meeting) return;
+    res.attachment(`${meeting.id}.json`);
+    res.send(JSON.stringify(meeting, null, 2));
+  });
+
+  router.get('/meetings/:id/export.md', (req, res) => {
+    const meeting = findMeeting(req, res);
+    if (!meeting) return;
+    res.attachment(`${meeting.id}.md`);
+    res.type('text/markdown');
+    res.send(toMarkdown(meeting));
+  });
+
+  return router;
+}
+
+module.exports = { createMeetingsRouter };
@@ -0,0 +1,54 @@
+// routes/messages.js
+// Per-room chat history so late joiners can backfill and the thread
+// survives the meeting.
+
+const crypto = require('crypto');
+const express = require('express');
+const { checkRoomId } = require('../lib/room-ids');
+
+const MAX_MESSAGES_PER_ROOM = 1000;
+const MAX_TEXT_LENGTH = 4000;
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.store - Store from lib/json-store.js, keyed by room.
+ */
+function createMessagesRouter({ store }) {
+  const router = express.Router();
+
+  router.param('id', checkRoomId);
+
+  // Optional ?since=<ms> returns only newer messages
+  router.get('/rooms/:id/messages', (req, res) => {
+    const since = Number(req.query.since) || 0;
+    const messages = (store.get(req.params.id) || []).filter((m) => m.ts > since);
+    res.json({ messages });
+  });
+
+  router.post('/rooms/:id/messages', async (req, res) => {
+    const body = req.body || {};
+    const text = typeof body.text === 'string' ? body.text.trim() : '';
+    if (!text) return res.status(400).json({ error: 'text is required' });
+
+    const message = {
+      // Clients send the id of the app message so history and live copies
+      // can be de-duplicated
+      id: typeof body.id === 'string' && body.id ? body.id.slice(0, 64) : crypto.randomUUID(),
+      senderName: String(body.senderName || '').trim().slice(0, 64) || 'Guest',
+      text: text.slice(0, MAX_TEXT_LENGTH),
+      ts: Number(body.ts) || Date.now(),
+    };
+
+    let existing = null;
+    await store.update(req.params.id, (messages = []) => {
+      existing = messages.find((m) => m.id === message.id) || null;
+      if (existing) return messages;
+      return [...messages, message].slice(-MAX_MESSAGES_PER_ROOM);
+    });
+    res.status(existing ? 200 : 201).json(existing || message);
+  });
+
+  return router;
+}
+
+module.exports = { createMessagesRouter };
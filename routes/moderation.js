@@ -0,0 +1,73 @@
+// routes/moderation.js
+// Room locks for hosts. A locked room gets no new guest tokens from
+// POST /token and is made private, so guests can't join without one; they
+// knock instead (Daily's knocking lobby, switched on for the room when it's
+// locked) and a host admits or denies them in the call.
+
+const express = require('express');
+const { checkRoomId } = require('../lib/room-ids');
+
+/**
+ * @param {Object} deps
+ * @param {Object|null} deps.daily - Client from lib/daily-api.js, or null
+ * when the REST API isn't configured (the lock is then only enforced on
+ * token minting).
+ * @param {Object} deps.store - Store from lib/json-store.js, keyed by room.
+ * @param {Object} deps.settings - `hostPasscode`, required to lock or
+ * unlock; without one configured, locks can't be changed.
+ */
+function createModerationRouter({ daily, store, settings }) {
+  const router = express.Router();
+
+  router.param('id', checkRoomId);
+
+  router.get('/rooms/:id/lock', (req, res) => {
+    const lock = store.get(req.params.id);
+    res.json({ locked: !!lock, lockedAt: lock ? lock.lockedAt : null });
+  });
+
+  // `{ locked: boolean, passcode }`
+  router.put('/rooms/:id/lock', async (req, res) => {
+    const body = req.body || {};
+    if (typeof body.locked !== 'boolean') {
+      return res.status(400).json({ error: 'locked must be true or false' });
+    }
+    if (!settings.hostPasscode) {
+      return res.status(403).json({ error: 'Room locks are disabled; set HOST_PASSCODE on the server' });
+    }
+    if (body.passcode !== settings.hostPasscode) {
+      return res.status(403).json({ error: 'Invalid host passcode' });
+    }
+
+    const { id } = req.params;
+    try {
+      if (body.locked) {
+        // The room's own privacy is kept to restore on unlock (from the
+        // first lock, if it's locked again). Knocking stays on after
+        // unlocking; it only matters for guests without a token.
+        const current = store.get(id);
+        let privacy = current ? current.privacy : null;
+        if (daily) {
+          if (!current) privacy = (await daily.getRoom(id)).privacy;
+          await daily.updateRoom(id, { privacy: 'private', properties: { enable_knocking: true } });
+        }
+        await store.set(id, { lockedAt: Date.now(), privacy });
+      } else {
+        const lock = store.get(id);
+        if (daily && lock && lock.privacy && lock.privacy !== 'private') {
+          await daily.updateRoom(id, { privacy: lock.privacy });
+        }
+        await store.delete(id);
+      }
+    } catch (err) {
+      console.error('Failed to update room lock:', err.message);
+      return res.status(err.status && err.status < 500 ? err.status : 502).json({ error: err.message });
+    }
+    const lock = store.get(id);
+    res.json({ locked: !!lock, lockedAt: lock ? lock.lockedAt : null });
+  });
+
+  return router;
+}
+
+module.exports = { createModerationRouter };
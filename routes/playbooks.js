@@ -0,0 +1,80 @@
+// routes/playbooks.js
+// Sales playbooks (see lib/playbooks.js) and which one each room runs, so
+// teams can demo different scripts in different rooms. Rooms without a
+// choice get the default playbook. Hosts only (see lib/host-auth.js):
+// playbooks hold pricing notes and objection responses.
+
+const express = require('express');
+const { toAgentContext } = require('../lib/playbooks');
+const { checkRoomId } = require('../lib/room-ids');
+const { requireHost } = require('../lib/host-auth');
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.library - From lib/playbooks.js.
+ * @param {Object} deps.store - Store from lib/json-store.js, keyed by room.
+ * @param {Object} deps.settings - `defaultId`, the playbook rooms start
+ * with, and `hostPasscode`, required for every route.
+ */
+function createPlaybooksRouter({ library, store, settings }) {
+  const router = express.Router();
+  const hostOnly = requireHost(settings.hostPasscode, 'Playbook access');
+
+  const sendError = (res, err, action) => {
+    console.error(`Failed to ${action}:`, err.message);
+    res.status(err.status && err.status < 500 ? err.status : 502).json({ error: err.message });
+  };
+
+  // The playbook with the system message the frontend hands the agent
+  const view = (playbook) => ({ ...playbook, agentContext: toAgentContext(playbook) });
+
+  router.param('id', checkRoomId);
+
+  router.get('/playbooks', hostOnly, async (_req, res) => {
+    try {
+      res.json({ playbooks: await library.list(), defaultId: settings.defaultId });
+    } catch (err) {
+      sendError(res, err, 'list playbooks');
+    }
+  });
+
+  router.get('/playbooks/:playbookId', hostOnly, async (req, res) => {
+    try {
+      const playbook = await library.get(req.params.playbookId);
+      if (!playbook) return res.status(404).json({ error: 'Playbook not found' });
+      res.json(view(playbook));
+    } catch (err) {
+      sendError(res, err, 'load playbook');
+    }
+  });
+
+  router.get('/rooms/:id/playbook', hostOnly, async (req, res) => {
+    try {
+      const chosen = store.get(req.params.id);
+      // A playbook file may have been removed since the room picked it
+      const playbook = (chosen && await library.get(chosen.playbookId))
+        || await library.get(settings.defaultId);
+      if (!playbook) return res.status(404).json({ error: 'No playbook is configured' });
+      res.json({ playbookId: playbook.id, playbook: view(playbook) });
+    } catch (err) {
+      sendError(res, err, 'load room playbook');
+    }
+  });
+
+  // `{ playbookId }`
+  router.put('/rooms/:id/playbook', hostOnly, async (req, res) => {
+    const playbookId = req.body && req.body.playbookId;
+    try {
+      const playbook = typeof playbookId === 'string' ? await library.get(playbookId) : null;
+      if (!playbook) return res.status(400).json({ error: 'Unknown playbookId' });
+      await store.set(req.params.id, { playbookId, updatedAt: Date.now() });
+      res.json({ playbookId, playbook: view(playbook) });
+    } catch (err) {
+      sendError(res, err, 'set room playbook');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createPlaybooksRouter };
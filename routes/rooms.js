@@ -0,0 +1,116 @@
+// routes/rooms.js
+// Room provisioning for sales demos: one short-lived Daily room per prospect
+// meeting. Only rooms whose name starts with the configured prefix are listed
+// or deletable, so other rooms on the Daily domain are left alone. Only
+// hosts (see lib/host-auth.js) create and delete rooms.
+
+const crypto = require('crypto');
+const express = require('express');
+const { requireHost } = require('../lib/host-auth');
+
+const MAX_TTL_SECONDS = 7 * 24 * 60 * 60;
+const RECORDING_MODES = ['cloud', 'local'];
+
+/**
+ * Turns a free-form label ("ACME intro call") into a room-name fragment.
+ */
+function slugify(label) {
+  return String(label || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40);
+}
+
+/**
+ * Reduces a Daily room object to what the sidebar needs.
+ */
+function summarizeRoom(room) {
+  const cfg = room.config || {};
+  return {
+    name: room.name,
+    url: room.url,
+    createdAt: room.created_at,
+    expiresAt: cfg.exp ? cfg.exp * 1000 : null,
+    maxParticipants: cfg.max_participants || null,
+    recording: cfg.enable_recording || 'off',
+    chat: !!cfg.enable_chat,
+    knocking: !!cfg.enable_knocking,
+  };
+}
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.daily - Client from lib/daily-api.js (or the stub).
+ * @param {Object} deps.settings - `prefix` for demo room names,
+ * `ttlSeconds`, the default room lifetime, and `hostPasscode`, required to
+ * create or delete rooms.
+ */
+function createRoomsRouter({ daily, settings }) {
+  const router = express.Router();
+  const hostOnly = requireHost(settings.hostPasscode, 'Managing rooms');
+  const isDemoRoom = (name) => typeof name === 'string' && name.startsWith(`${settings.prefix}-`);
+
+  const sendError = (res, err, action) => {
+    console.error(`Failed to ${action}:`, err.message);
+    res.status(err.status && err.status < 500 ? err.status : 502).json({ error: err.message });
+  };
+
+  // Active (not yet expired) demo rooms, newest first
+  router.get('/rooms', async (_req, res) => {
+    try {
+      const now = Date.now();
+      const rooms = (await daily.listRooms())
+        .filter((room) => isDemoRoom(room.name))
+        .map(summarizeRoom)
+        .filter((room) => !room.expiresAt || room.expiresAt > now)
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+      res.json({ rooms });
+    } catch (err) {
+      sendError(res, err, 'list rooms');
+    }
+  });
+
+  router.post('/rooms', hostOnly, async (req, res) => {
+    const body = req.body || {};
+    const ttl = Math.min(Math.max(Number(body.expiresIn) || settings.ttlSeconds, 60), MAX_TTL_SECONDS);
+    const suffix = crypto.randomBytes(3).toString('hex');
+    const slug = slugify(body.label);
+    const name = [settings.prefix, slug, suffix].filter(Boolean).join('-');
+
+    const properties = {
+      exp: Math.floor(Date.now() / 1000) + ttl,
+      eject_at_room_exp: true,
+      enable_chat: !!body.chat,
+      // Guests without a token can ask the host to let them in
+      enable_knocking: !!body.knocking,
+    };
+    const maxParticipants = parseInt(body.maxParticipants, 10);
+    if (maxParticipants > 0) properties.max_participants = maxParticipants;
+    if (RECORDING_MODES.includes(body.recording)) properties.enable_recording = body.recording;
+
+    try {
+      const room = await daily.createRoom({ name, privacy: 'private', properties });
+      res.status(201).json(summarizeRoom(room));
+    } catch (err) {
+      sendError(res, err, 'create room');
+    }
+  });
+
+  router.delete('/rooms/:name', hostOnly, async (req, res) => {
+    const { name } = req.params;
+    if (!isDemoRoom(name)) {
+      return res.status(403).json({ error: 'Only demo rooms created here can be deleted' });
+    }
+    try {
+      await daily.deleteRoom(name);
+      res.json({ deleted: true, name });
+    } catch (err) {
+      sendError(res, err, 'delete room');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createRoomsRouter };
@@ -0,0 +1,84 @@
+// routes/scorecards.js
+// Lead qualification scorecard per room (BANT/MEDDIC-style fields), filled
+// in during the call by the sales agent and the reps, so hosts who join
+// later or reload see where qualification stands. Hosts only (see
+// lib/host-auth.js).
+
+const express = require('express');
+const { checkRoomId } = require('../lib/room-ids');
+const { requireHost } = require('../lib/host-auth');
+
+const FIELD_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,31}$/;
+const FRAMEWORKS = ['bant', 'meddic'];
+const MAX_FIELDS = 50;
+const MAX_VALUE_LENGTH = 1000;
+
+/**
+ * Keeps a field update to the shape the frontend sends, or null if it
+ * isn't one.
+ */
+function sanitizeField(field) {
+  if (!field || typeof field !== 'object') return null;
+  const value = field.value === undefined || field.value === null ? '' : String(field.value);
+  return {
+    value: value.slice(0, MAX_VALUE_LENGTH),
+    source: field.source === 'agent' ? 'agent' : 'rep',
+    by: typeof field.by === 'string' ? field.by.slice(0, 64) : null,
+    updatedAt: Number.isFinite(Number(field.updatedAt)) ? Number(field.updatedAt) : Date.now(),
+  };
+}
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.store - Store from lib/json-store.js, keyed by room.
+ * @param {Object} deps.settings - `hostPasscode`, required for every route.
+ */
+function createScorecardsRouter({ store, settings }) {
+  const router = express.Router();
+  const hostOnly = requireHost(settings.hostPasscode, 'The lead scorecard');
+
+  const view = (card = {}) => ({
+    framework: card.framework || FRAMEWORKS[0],
+    fields: card.fields || {},
+    updatedAt: card.updatedAt || null,
+  });
+
+  router.param('id', checkRoomId);
+
+  router.get('/rooms/:id/scorecard', hostOnly, (req, res) => {
+    res.json(view(store.get(req.params.id)));
+  });
+
+  // Merges `{ framework?, fields: { budget: { value, source, by, updatedAt } } }`;
+  // an older update than the stored one for a field is ignored
+  router.put('/rooms/:id/scorecard', hostOnly, async (req, res) => {
+    const body = req.body || {};
+    if (body.framework !== undefined && !FRAMEWORKS.includes(body.framework)) {
+      return res.status(400).json({ error: `framework must be one of ${FRAMEWORKS.join(', ')}` });
+    }
+    if (body.fields !== undefined && (typeof body.fields !== 'object' || Array.isArray(body.fields))) {
+      return res.status(400).json({ error: 'fields must be an object' });
+    }
+
+    const card = await store.update(req.params.id, (current = {}) => {
+      const fields = { ...current.fields };
+      Object.entries(body.fields || {}).forEach(([key, field]) => {
+        const clean = FIELD_PATTERN.test(key) && sanitizeField(field);
+        if (!clean) return;
+        if (fields[key] && fields[key].updatedAt > clean.updatedAt) return;
+        if (!fields[key] && Object.keys(fields).length >= MAX_FIELDS) return;
+        fields[key] = clean;
+      });
+      return {
+        framework: body.framework || current.framework || FRAMEWORKS[0],
+        fields,
+        updatedAt: Date.now(),
+      };
+    });
+    res.json(view(card));
+  });
+
+  return router;
+}
+
+module.exports = { createScorecardsRouter };
@@ -0,0 +1,85 @@
+// routes/token.js
+// POST /token — mints a short-lived, per-user Daily meeting token so the
+// API key never leaves the server.
+
+const crypto = require('crypto');
+const express = require('express');
+const { roomNameFromUrl } = require('../lib/daily-api');
+
+const MAX_TTL_SECONDS = 24 * 60 * 60;
+// Browsers send a random id they keep, so a user keeps their tile position
+// across joins
+const CLIENT_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.daily - Client from lib/daily-api.js.
+ * @param {Object} [deps.locks] - Room locks store (routes/moderation.js);
+ * locked rooms only get owner tokens.
+ * @param {Object} deps.settings - Token settings: `roomUrl` (default room),
+ * `domain`, the host of this deployment's Daily rooms (e.g.
+ * "your-domain.daily.co"), `ttlSeconds` and `hostPasscode`, required for
+ * owner tokens (none are minted without one).
+ */
+function createTokenRouter({ daily, locks = null, settings }) {
+  const router = express.Router();
+
+  router.post('/token', async (req, res) => {
+    const body = req.body || {};
+    const roomUrl = body.roomUrl || settings.roomUrl;
+    const roomName = roomNameFromUrl(roomUrl);
+    if (!roomName) {
+      return res.status(400).json({ error: 'A valid roomUrl is required' });
+    }
+    if (!settings.domain) {
+      return res.status(500).json({ error: 'DAILY_DOMAIN is not configured' });
+    }
+    // Only rooms on our own Daily domain; the API key would sign any room name
+    if (new URL(roomUrl).host !== settings.domain) {
+      return res.status(400).json({ error: `roomUrl must be a room on ${settings.domain}` });
+    }
+
+    const role = body.role === 'owner' ? 'owner' : 'guest';
+    if (role === 'owner' && !settings.hostPasscode) {
+      return res.status(403).json({ error: 'Host tokens are disabled; set HOST_PASSCODE on the server' });
+    }
+    if (role === 'owner' && body.passcode !== settings.hostPasscode) {
+      return res.status(403).json({ error: 'Invalid host passcode' });
+    }
+    // Guests of a locked room join without a token and knock instead
+    if (role === 'guest' && locks && locks.get(roomName)) {
+      return res.status(403).json({ error: 'This room is locked', locked: true });
+    }
+
+    const userName = String(body.userName || '').trim().slice(0, 64) || 'Guest';
+    // The "u-" prefix keeps people apart from the bot's user id (and within
+    // Daily's 36 character limit)
+    const clientId = CLIENT_ID_PATTERN.test(body.clientId) ? body.clientId : crypto.randomBytes(16).toString('hex');
+    const userId = `u-${clientId}`;
+    // Guests can't ask for more than the default, so a token taken before a
+    // lock doesn't outlast it by much
+    const ttl = Math.min(
+      Math.max(Number(body.expiresIn) || settings.ttlSeconds, 60),
+      role === 'owner' ? MAX_TTL_SECONDS : settings.ttlSeconds
+    );
+    const exp = Math.floor(Date.now() / 1000) + ttl;
+
+    try {
+      const token = await daily.createMeetingToken({
+        room_name: roomName,
+        user_name: userName,
+        user_id: userId,
+        is_owner: role === 'owner',
+        exp,
+      });
+      res.json({ token, roomName, role, userName, userId, expiresAt: exp * 1000 });
+    } catch (err) {
+      console.error('Failed to mint meeting token:', err.message);
+      res.status(err.status && err.status < 500 ? err.status : 502).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createTokenRouter };
@@ -0,0 +1,106 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const { createAssetsRouter } = require('../routes/assets');
+const { serve, tempDir, tempStore } = require('./helpers');
+
+const PNG = { 'Content-Type': 'image/png' };
+const png = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+const pdf = Buffer.from('%PDF-1.4\n1 0 obj << /Type /Page >>\n2 0 obj << /Type /Page >>\n3 0 obj << /Type /Pages /Count 2 >>\n');
+
+describe('/rooms/:id/assets', () => {
+  let api;
+  let dir;
+  before(async () => {
+    dir = tempDir();
+    api = await serve(createAssetsRouter({ store: tempStore(), dir, settings: { maxBytes: 1024 } }));
+  });
+  after(() => api.close());
+
+  it('uploads an image and lists it', async () => {
+    const { status, body } = await api.request('POST', '/rooms/demo/assets?name=Pricing', png, PNG);
+    assert.equal(status, 201);
+    assert.match(body.id, /^[a-f0-9]{16}$/);
+    assert.equal(body.name, 'Pricing');
+    assert.equal(body.kind, 'images');
+    assert.deepEqual(body.files, [`/rooms/demo/assets/${body.id}/files/0.png`]);
+    assert.deepEqual(fs.readFileSync(path.join(dir, 'demo', body.id, '0.png')), png);
+
+    const list = await api.request('GET', '/rooms/demo/assets');
+    assert.deepEqual(list.body.assets.map((a) => a.id), [body.id]);
+  });
+
+  it('serves the uploaded files without sniffing', async () => {
+    const { body: asset } = await api.request('POST', '/rooms/files/assets', png, PNG);
+    const res = await fetch(`${api.base}${asset.files[0]}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('x-content-type-options'), 'nosniff');
+    assert.equal(res.headers.get('content-type'), 'image/png');
+    assert.deepEqual(Buffer.from(await res.arrayBuffer()), png);
+
+    const missing = await api.request('GET', `/rooms/files/assets/${asset.id}/files/1.png`);
+    assert.equal(missing.status, 404);
+  });
+
+  it('counts the pages of a PDF', async () => {
+    const { status, body } = await api.request('POST', '/rooms/demo/assets', pdf, { 'Content-Type': 'application/pdf' });
+    assert.equal(status, 201);
+    assert.equal(body.kind, 'pdf');
+    assert.equal(body.pages, 2);
+  });
+
+  it('rejects unsupported and empty uploads', async () => {
+    const svg = await api.request('POST', '/rooms/demo/assets', Buffer.from('<svg/>'), { 'Content-Type': 'image/svg+xml' });
+    assert.equal(svg.status, 415);
+
+    const empty = await api.request('POST', '/rooms/demo/assets', Buffer.alloc(0), PNG);
+    assert.equal(empty.status, 400);
+    assert.equal(empty.body.error, 'The file is empty');
+  });
+
+  it('adds slides to image assets only', async () => {
+    const { body: asset } = await api.request('POST', '/rooms/slides/assets', png, PNG);
+    const { status, body } = await api.request('POST', `/rooms/slides/assets/${asset.id}/files`, png, PNG);
+    assert.equal(status, 201);
+    assert.equal(body.pages, 2);
+    assert.equal(body.files[1], `/rooms/slides/assets/${asset.id}/files/1.png`);
+
+    const { body: doc } = await api.request('POST', '/rooms/slides/assets', pdf, { 'Content-Type': 'application/pdf' });
+    const refused = await api.request('POST', `/rooms/slides/assets/${doc.id}/files`, png, PNG);
+    assert.equal(refused.status, 400);
+    assert.equal(refused.body.error, 'Only images can be added as slides');
+  });
+
+  it('clamps moves, resizes and page changes', async () => {
+    const { body: asset } = await api.request('POST', '/rooms/move/assets', pdf, { 'Content-Type': 'application/pdf' });
+    const { status, body } = await api.request('PUT', `/rooms/move/assets/${asset.id}`, { x: 2, y: -1, w: 0, page: 9 });
+    assert.equal(status, 200);
+    assert.equal(body.x, 1);
+    assert.equal(body.y, 0);
+    assert.equal(body.w, 0.05);
+    assert.equal(body.h, 0.5);
+    assert.equal(body.page, 1);
+  });
+
+  it('deletes an asset and its files', async () => {
+    const { body: asset } = await api.request('POST', '/rooms/gone/assets', png, PNG);
+    const { status, body } = await api.request('DELETE', `/rooms/gone/assets/${asset.id}`);
+    assert.equal(status, 200);
+    assert.deepEqual(body, { deleted: true, id: asset.id });
+    assert.ok(!fs.existsSync(path.join(dir, 'gone', asset.id)));
+
+    const again = await api.request('DELETE', `/rooms/gone/assets/${asset.id}`);
+    assert.equal(again.status, 404);
+  });
+
+  it('rejects invalid room and asset ids', async () => {
+    const room = await api.request('GET', '/rooms/bad%20room/assets');
+    assert.equal(room.status, 400);
+    assert.equal(room.body.error, 'Invalid room id');
+
+    const asset = await api.request('PUT', '/rooms/demo/assets/..%2F..', { x: 0 });
+    assert.equal(asset.status, 400);
+    assert.equal(asset.body.error, 'Invalid asset id');
+  });
+});
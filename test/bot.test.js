@@ -0,0 +1,185 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const { createBotRouter } = require('../routes/bot');
+const { createStubBotRunner } = require('../mock/bot-runner');
+const { createStubDailyClient } = require('../mock/daily-api');
+const { BotRunnerError } = require('../lib/bot-runner');
+const { serve, tokenClaims } = require('./helpers');
+
+const ROOM_URL = 'https://acme.daily.co/demo';
+const settings = { roomUrl: ROOM_URL, domain: 'acme.daily.co', botName: 'Sales Agent', botUserId: 'sales-agent' };
+
+// Failed upstream calls are logged; keep the test output readable
+mock.method(console, 'error', () => {});
+
+describe('/bot', () => {
+  let api;
+  let runner;
+  beforeEach(async () => {
+    runner = createStubBotRunner();
+    mock.method(runner, 'start');
+    api = await serve(createBotRouter({ runner, daily: createStubDailyClient(), settings }));
+  });
+  afterEach(() => api.close());
+
+  it('starts the agent with a token for its configured name and id', async () => {
+    const { status, body } = await api.request('POST', '/bot/start', { roomUrl: ROOM_URL });
+    assert.equal(status, 201);
+    assert.equal(body.roomName, 'demo');
+    assert.equal(body.status, 'starting');
+    assert.ok(body.botId);
+
+    const [{ arguments: [options] }] = runner.start.mock.calls;
+    assert.equal(options.roomUrl, ROOM_URL);
+    assert.deepEqual(options.config, { bot_name: 'Sales Agent' });
+    const claims = tokenClaims(options.token);
+    assert.equal(claims.room_name, 'demo');
+    assert.equal(claims.user_name, 'Sales Agent');
+    assert.equal(claims.user_id, 'sales-agent');
+  });
+
+  it('refuses a second start while the agent is in the room', async () => {
+    await api.request('POST', '/bot/start', {});
+    const { status, body } = await api.request('POST', '/bot/start', {});
+    assert.equal(status, 409);
+    assert.equal(body.error, 'The sales agent is already in this room');
+    assert.equal(runner.start.mock.callCount(), 1);
+  });
+
+  it('dispatches one agent for concurrent starts', async () => {
+    const results = await Promise.all([
+      api.request('POST', '/bot/start', {}),
+      api.request('POST', '/bot/start', {}),
+    ]);
+    assert.deepEqual(results.map((r) => r.status).sort(), [201, 409]);
+    assert.equal(runner.start.mock.callCount(), 1);
+  });
+
+  it('reports status and stops the agent', async () => {
+    const { body: started } = await api.request('POST', '/bot/start', {});
+
+    const status = await api.request('GET', `/bot/status?roomUrl=${encodeURIComponent(ROOM_URL)}`);
+    assert.equal(status.status, 200);
+    assert.equal(status.body.botId, started.botId);
+
+    const stopped = await api.request('POST', '/bot/stop', {});
+    assert.equal(stopped.status, 200);
+    assert.equal(stopped.body.status, 'stopped');
+
+    // Stopped agents can be invited again
+    const again = await api.request('POST', '/bot/start', {});
+    assert.equal(again.status, 201);
+  });
+
+  it('reports stopped for a room without an agent', async () => {
+    const { status, body } = await api.request('GET', '/bot/status');
+    assert.equal(status, 200);
+    assert.equal(body.status, 'stopped');
+    assert.equal(body.botId, null);
+
+    const stop = await api.request('POST', '/bot/stop', {});
+    assert.equal(stop.status, 200);
+    assert.equal(stop.body.status, 'stopped');
+  });
+
+  it('rejects an invalid room URL', async () => {
+    for (const [method, pathname, body] of [
+      ['POST', '/bot/start', { roomUrl: 'nope' }],
+      ['POST', '/bot/stop', { roomUrl: 'nope' }],
+      ['GET', '/bot/status?roomUrl=nope'],
+    ]) {
+      const res = await api.request(method, pathname, body);
+      assert.equal(res.status, 400, pathname);
+      assert.equal(res.body.error, 'A valid roomUrl is required');
+    }
+  });
+
+  it('rejects rooms on another Daily domain', async () => {
+    for (const [method, pathname, body] of [
+      ['POST', '/bot/start', { roomUrl: 'https://evil.example.com/demo' }],
+      ['POST', '/bot/stop', { roomUrl: 'https://other.daily.co/demo' }],
+      ['GET', `/bot/status?roomUrl=${encodeURIComponent('https://other.daily.co/demo')}`],
+    ]) {
+      const res = await api.request(method, pathname, body);
+      assert.equal(res.status, 400, pathname);
+      assert.equal(res.body.error, 'roomUrl must be a room on acme.daily.co');
+    }
+    assert.equal(runner.start.mock.callCount(), 0);
+  });
+
+  it('does not mix up a foreign room with ours of the same name', async () => {
+    await api.request('POST', '/bot/start', { roomUrl: ROOM_URL });
+    const foreign = await api.request('POST', '/bot/stop', { roomUrl: 'https://other.daily.co/demo' });
+    assert.equal(foreign.status, 400);
+
+    const { body } = await api.request('GET', '/bot/status');
+    assert.notEqual(body.status, 'stopped');
+  });
+});
+
+describe('/bot without a Daily domain', () => {
+  it('answers 500', async () => {
+    const api = await serve(createBotRouter({
+      runner: createStubBotRunner(),
+      daily: null,
+      settings: { ...settings, domain: '' },
+    }));
+    try {
+      const { status, body } = await api.request('POST', '/bot/start', {});
+      assert.equal(status, 500);
+      assert.equal(body.error, 'DAILY_DOMAIN is not configured');
+    } finally {
+      await api.close();
+    }
+  });
+});
+
+describe('/bot when the runner fails', () => {
+  let api;
+  let runner;
+  beforeEach(async () => {
+    runner = createStubBotRunner();
+    api = await serve(createBotRouter({ runner, daily: null, settings }));
+  });
+  afterEach(() => api.close());
+
+  it('answers 502 and frees the room when the start fails', async () => {
+    const start = mock.method(runner, 'start', async () => {
+      throw new BotRunnerError('runner unavailable', 503);
+    });
+    const failed = await api.request('POST', '/bot/start', {});
+    assert.equal(failed.status, 502);
+    assert.equal(failed.body.error, 'runner unavailable');
+
+    start.mock.restore();
+    const retried = await api.request('POST', '/bot/start', {});
+    assert.equal(retried.status, 201);
+  });
+
+  it('passes through a 4xx from the runner', async () => {
+    mock.method(runner, 'start', async () => {
+      throw new BotRunnerError('room_url is required', 400);
+    });
+    const { status } = await api.request('POST', '/bot/start', {});
+    assert.equal(status, 400);
+  });
+
+  it('treats a bot the runner forgot as stopped', async () => {
+    await api.request('POST', '/bot/start', {});
+    mock.method(runner, 'status', async () => {
+      throw new BotRunnerError('bot not found', 404);
+    });
+
+    const status = await api.request('GET', '/bot/status');
+    assert.equal(status.body.status, 'stopped');
+  });
+
+  it('answers 502 when a stop fails', async () => {
+    await api.request('POST', '/bot/start', {});
+    mock.method(runner, 'stop', async () => {
+      throw new BotRunnerError('runner unavailable', 500);
+    });
+    const { status } = await api.request('POST', '/bot/stop', {});
+    assert.equal(status, 502);
+  });
+});
@@ -0,0 +1,70 @@
+// test/helpers.js
+// Serves a single router on an ephemeral port, the way index.js mounts it,
+// so route tests can talk to it over HTTP with fetch.
+
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonStore } = require('../lib/json-store');
+
+/**
+ * @param {express.Router} router - Router from one of the routes/ factories.
+ * @returns {Promise<{base: string, request: Function, close: Function}>}
+ * `base` is the server's URL for plain fetch calls; `request(method,
+ * path, body, headers)` resolves to `{ status, headers, body }`, the body
+ * parsed when it's JSON. A Buffer body is sent as is, with the Content-Type
+ * from `headers`.
+ */
+async function serve(router) {
+  const app = express();
+  app.use(express.json());
+  app.use(router);
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    base,
+    async request(method, pathname, body, headers = {}) {
+      const raw = Buffer.isBuffer(body);
+      const res = await fetch(`${base}${pathname}`, {
+        method,
+        headers: body && !raw ? { 'Content-Type': 'application/json', ...headers } : headers,
+        body: body && !raw ? JSON.stringify(body) : body,
+      });
+      const json = (res.headers.get('content-type') || '').includes('json');
+      return { status: res.status, headers: res.headers, body: json ? await res.json() : await res.text() };
+    },
+    close() {
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+/**
+ * Decodes the claims of a token minted by the Daily stub.
+ */
+function tokenClaims(token) {
+  return JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+}
+
+/**
+ * A fresh temporary directory, removed when the test process exits.
+ */
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'weplex-test-'));
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * A JSON store (lib/json-store.js) backed by a file in a temporary directory.
+ */
+function tempStore() {
+  return createJsonStore(path.join(tempDir(), 'store.json'));
+}
+
+module.exports = { serve, tokenClaims, tempDir, tempStore };
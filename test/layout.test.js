@@ -0,0 +1,58 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after } = require('node:test');
+const { createLayoutRouter } = require('../routes/layout');
+const { serve, tempStore } = require('./helpers');
+
+describe('/rooms/:id/layout', () => {
+  let api;
+  before(async () => {
+    api = await serve(createLayoutRouter({ store: tempStore() }));
+  });
+  after(() => api.close());
+
+  it('starts empty', async () => {
+    const { status, body } = await api.request('GET', '/rooms/empty/layout');
+    assert.equal(status, 200);
+    assert.deepEqual(body.positions, {});
+  });
+
+  it('merges positions and clamps them to the canvas', async () => {
+    await api.request('PUT', '/rooms/merge/layout', { positions: { 'video:u-a': { x: 0.25, y: 0.5 } } });
+    const { status, body } = await api.request('PUT', '/rooms/merge/layout', {
+      positions: { 'video:u-b': { x: 2, y: -1, w: 0.001, h: 0.5 } },
+    });
+    assert.equal(status, 200);
+    const { 'video:u-a': a, 'video:u-b': b } = body.positions;
+    assert.deepEqual([a.x, a.y], [0.25, 0.5]);
+    assert.deepEqual([b.x, b.y, b.w, b.h], [1, 0, 0.02, 0.5]);
+
+    const saved = await api.request('GET', '/rooms/merge/layout');
+    assert.deepEqual(Object.keys(saved.body.positions).sort(), ['video:u-a', 'video:u-b']);
+  });
+
+  it('only keeps a size when both w and h are sent', async () => {
+    const { body } = await api.request('PUT', '/rooms/size/layout', { positions: { tile: { x: 0, y: 0, w: 0.5 } } });
+    assert.equal(body.positions.tile.w, undefined);
+  });
+
+  it('ignores malformed tiles and __proto__', async () => {
+    // Parsed, so "__proto__" is an own key like it is in a request body
+    const positions = JSON.parse('{"__proto__": {"x": 1, "y": 1}, "empty": null, "text": "left", "ok": {"x": 0, "y": 0}}');
+    positions['k'.repeat(201)] = { x: 0, y: 0 };
+    const { body } = await api.request('PUT', '/rooms/odd/layout', { positions });
+    assert.deepEqual(Object.keys(body.positions), ['ok']);
+  });
+
+  it('requires positions', async () => {
+    const { status, body } = await api.request('PUT', '/rooms/none/layout', {});
+    assert.equal(status, 400);
+    assert.equal(body.error, 'positions is required');
+  });
+
+  it('rejects invalid room ids', async () => {
+    for (const id of ['__proto__', 'a b', 'x'.repeat(129)]) {
+      const { status } = await api.request('GET', `/rooms/${encodeURIComponent(id)}/layout`);
+      assert.equal(status, 400, id);
+    }
+  });
+});
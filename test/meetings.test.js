@@ -0,0 +1,124 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after } = require('node:test');
+const { createMeetingsRouter } = require('../routes/meetings');
+const { createSummarizer } = require('../lib/summarizer');
+const { serve, tempStore } = require('./helpers');
+
+const HOST = { 'X-Host-Passcode': 'open-sesame' };
+
+const record = (overrides = {}) => ({
+  roomName: 'acme',
+  roomUrl: 'https://acme.daily.co/acme',
+  sessionId: 'session-1',
+  startedAt: 1000,
+  endedAt: 61000,
+  participants: [
+    { id: 'a', name: 'Pat | Sales', role: 'host', joinedAt: 1000 },
+    { id: 'b', name: 'Sam', role: 'guest', joinedAt: 2000 },
+  ],
+  messages: [{ id: 'm1', senderName: 'Sam', text: 'We need a pilot', ts: 3000 }],
+  transcript: [{ speakerId: 'b', speakerName: 'Sam', text: 'Pricing is a concern', ts: 4000 }],
+  ...overrides,
+});
+
+describe('/meetings', () => {
+  let api;
+  before(async () => {
+    api = await serve(createMeetingsRouter({
+      store: tempStore(),
+      summarizer: createSummarizer(),
+      settings: { hostPasscode: 'open-sesame' },
+    }));
+  });
+  after(() => api.close());
+
+  it('saves a record with a summary and lists it', async () => {
+    const saved = await api.request('POST', '/meetings', record(), HOST);
+    assert.equal(saved.status, 201);
+    assert.match(saved.body.id, /^acme-[a-f0-9]{8}$/);
+    assert.ok(saved.body.summary.overview);
+
+    const { body } = await api.request('GET', '/meetings?room=acme', undefined, HOST);
+    assert.deepEqual(body.meetings.map((m) => [m.id, m.participants]), [[saved.body.id, 2]]);
+
+    const none = await api.request('GET', '/meetings?room=other', undefined, HOST);
+    assert.deepEqual(none.body.meetings, []);
+  });
+
+  it('keeps one record per meeting session, the one that ended last', async () => {
+    const first = await api.request('POST', '/meetings', record({ sessionId: 'session-2' }), HOST);
+    const later = await api.request('POST', '/meetings', record({ sessionId: 'session-2', endedAt: 99000 }), HOST);
+    assert.equal(later.status, 200);
+    assert.equal(later.body.id, first.body.id);
+
+    const earlier = await api.request('POST', '/meetings', record({ sessionId: 'session-2', endedAt: 5000 }), HOST);
+    assert.equal(earlier.status, 200);
+    const { body } = await api.request('GET', `/meetings/${first.body.id}`, undefined, HOST);
+    assert.equal(body.record.endedAt, 99000);
+  });
+
+  it('drops entries that are not objects', async () => {
+    const { status, body } = await api.request('POST', '/meetings', record({
+      sessionId: 'session-3',
+      participants: [null, 'Pat', { name: 'Sam' }],
+      transcript: [null],
+    }), HOST);
+    assert.equal(status, 201);
+    const { body: meeting } = await api.request('GET', `/meetings/${body.id}`, undefined, HOST);
+    assert.deepEqual(meeting.record.participants.map((p) => p.name), ['Sam']);
+    assert.deepEqual(meeting.record.transcript, []);
+  });
+
+  it('requires startedAt', async () => {
+    const { status } = await api.request('POST', '/meetings', record({ startedAt: undefined }), HOST);
+    assert.equal(status, 400);
+  });
+
+  it('exports Markdown with pipes in names escaped', async () => {
+    const { body: saved } = await api.request('POST', '/meetings', record({ sessionId: 'session-4' }), HOST);
+    const { status, headers, body } = await api.request('GET', `/meetings/${saved.id}/export.md`, undefined, HOST);
+    assert.equal(status, 200);
+    assert.match(headers.get('content-disposition'), new RegExp(`${saved.id}\\.md`));
+    assert.ok(body.includes('| Pat \\| Sales | host |'));
+
+    const json = await api.request('GET', `/meetings/${saved.id}/export.json`, undefined, HOST);
+    assert.equal(json.body.id, saved.id);
+  });
+
+  it('answers 404 for unknown meetings', async () => {
+    for (const suffix of ['', '/export.json', '/export.md']) {
+      const { status } = await api.request('GET', `/meetings/nope${suffix}`, undefined, HOST);
+      assert.equal(status, 404);
+    }
+  });
+
+  it('is closed to anyone without the host passcode', async () => {
+    const { body: saved } = await api.request('POST', '/meetings', record({ sessionId: 'session-5' }), HOST);
+    for (const headers of [{}, { 'X-Host-Passcode': 'guess' }]) {
+      for (const pathname of ['/meetings', `/meetings/${saved.id}`, `/meetings/${saved.id}/export.json`, `/meetings/${saved.id}/export.md`]) {
+        const { status, body } = await api.request('GET', pathname, undefined, headers);
+        assert.equal(status, 403, pathname);
+        assert.equal(body.error, 'Invalid host passcode');
+      }
+      const post = await api.request('POST', '/meetings', record({ sessionId: 'session-5', endedAt: 999999 }), headers);
+      assert.equal(post.status, 403);
+    }
+  });
+});
+
+describe('/meetings without a host passcode', () => {
+  it('refuses everything', async () => {
+    const api = await serve(createMeetingsRouter({
+      store: tempStore(),
+      summarizer: createSummarizer(),
+      settings: { hostPasscode: '' },
+    }));
+    try {
+      const { status, body } = await api.request('GET', '/meetings');
+      assert.equal(status, 403);
+      assert.equal(body.error, 'Saving and reading meeting records is disabled; set HOST_PASSCODE on the server');
+    } finally {
+      await api.close();
+    }
+  });
+});
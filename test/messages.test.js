@@ -0,0 +1,74 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after } = require('node:test');
+const { createMessagesRouter } = require('../routes/messages');
+const { serve, tempStore } = require('./helpers');
+
+describe('/rooms/:id/messages', () => {
+  let api;
+  before(async () => {
+    api = await serve(createMessagesRouter({ store: tempStore() }));
+  });
+  after(() => api.close());
+
+  it('keeps a room\'s messages in order', async () => {
+    const first = await api.request('POST', '/rooms/chat/messages', { text: '  hello  ', senderName: 'Pat', ts: 1000 });
+    assert.equal(first.status, 201);
+    assert.equal(first.body.text, 'hello');
+    assert.equal(first.body.senderName, 'Pat');
+    assert.ok(first.body.id);
+
+    await api.request('POST', '/rooms/chat/messages', { text: 'second', ts: 2000 });
+    const { status, body } = await api.request('GET', '/rooms/chat/messages');
+    assert.equal(status, 200);
+    assert.deepEqual(body.messages.map((m) => [m.text, m.senderName]), [['hello', 'Pat'], ['second', 'Guest']]);
+  });
+
+  it('returns only newer messages with ?since', async () => {
+    await api.request('POST', '/rooms/since/messages', { text: 'old', ts: 1000 });
+    await api.request('POST', '/rooms/since/messages', { text: 'new', ts: 3000 });
+    const { body } = await api.request('GET', '/rooms/since/messages?since=2000');
+    assert.deepEqual(body.messages.map((m) => m.text), ['new']);
+  });
+
+  it('stores a message sent twice with the same id once', async () => {
+    const message = { id: 'app-msg-1', text: 'only once', ts: 1000 };
+    assert.equal((await api.request('POST', '/rooms/dedupe/messages', message)).status, 201);
+    const again = await api.request('POST', '/rooms/dedupe/messages', { ...message, text: 'changed' });
+    assert.equal(again.status, 200);
+    assert.equal(again.body.text, 'only once');
+
+    const { body } = await api.request('GET', '/rooms/dedupe/messages');
+    assert.equal(body.messages.length, 1);
+  });
+
+  it('truncates long messages and names', async () => {
+    const { body } = await api.request('POST', '/rooms/long/messages', {
+      text: 'x'.repeat(5000),
+      senderName: 'n'.repeat(100),
+    });
+    assert.equal(body.text.length, 4000);
+    assert.equal(body.senderName.length, 64);
+  });
+
+  it('requires text', async () => {
+    for (const text of [undefined, '', '   ', 42]) {
+      const { status, body } = await api.request('POST', '/rooms/chat/messages', { text });
+      assert.equal(status, 400);
+      assert.equal(body.error, 'text is required');
+    }
+  });
+
+  it('rejects invalid room ids', async () => {
+    for (const id of ['__proto__', 'constructor', 'a.b', 'x'.repeat(129)]) {
+      const { status, body } = await api.request('GET', `/rooms/${id}/messages`);
+      assert.equal(status, 400, id);
+      assert.equal(body.error, 'Invalid room id');
+    }
+  });
+
+  it('keeps rooms apart', async () => {
+    await api.request('POST', '/rooms/room-a/messages', { text: 'for a' });
+    const { body } = await api.request('GET', '/rooms/room-b/messages');
+    assert.deepEqual(body.messages, []);
+  });
+});
@@ -0,0 +1,96 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after, mock } = require('node:test');
+const { createModerationRouter } = require('../routes/moderation');
+const { createStubDailyClient, createMockState } = require('../mock/daily-api');
+const { serve, tempStore } = require('./helpers');
+
+// Failed upstream calls are logged; keep the test output readable
+mock.method(console, 'error', () => {});
+
+describe('/rooms/:id/lock', () => {
+  let api;
+  let state;
+  before(async () => {
+    state = createMockState();
+    state.createRoom({ name: 'open-room', privacy: 'public' });
+    state.createRoom({ name: 'private-room', privacy: 'private' });
+    api = await serve(createModerationRouter({
+      daily: createStubDailyClient(state),
+      store: tempStore(),
+      settings: { hostPasscode: 'open-sesame' },
+    }));
+  });
+  after(() => api.close());
+
+  const lock = (id, locked, passcode = 'open-sesame') => api.request('PUT', `/rooms/${id}/lock`, { locked, passcode });
+
+  it('starts unlocked', async () => {
+    const { status, body } = await api.request('GET', '/rooms/open-room/lock');
+    assert.equal(status, 200);
+    assert.deepEqual(body, { locked: false, lockedAt: null });
+  });
+
+  it('makes a public room private with knocking while locked, and public again after', async () => {
+    const locked = await lock('open-room', true);
+    assert.equal(locked.status, 200);
+    assert.equal(locked.body.locked, true);
+    assert.equal(state.getRoom('open-room').privacy, 'private');
+    assert.equal(state.getRoom('open-room').config.enable_knocking, true);
+    assert.equal((await api.request('GET', '/rooms/open-room/lock')).body.locked, true);
+
+    // Locking again doesn't forget that the room was public
+    await lock('open-room', true);
+    const unlocked = await lock('open-room', false);
+    assert.equal(unlocked.body.locked, false);
+    assert.equal(state.getRoom('open-room').privacy, 'public');
+    assert.equal(state.getRoom('open-room').config.enable_knocking, true);
+  });
+
+  it('leaves a private room private after unlocking', async () => {
+    await lock('private-room', true);
+    await lock('private-room', false);
+    assert.equal(state.getRoom('private-room').privacy, 'private');
+  });
+
+  it('requires the host passcode', async () => {
+    for (const passcode of ['guess', '', null]) {
+      const { status, body } = await lock('open-room', true, passcode);
+      assert.equal(status, 403);
+      assert.equal(body.error, 'Invalid host passcode');
+    }
+    assert.equal(state.getRoom('open-room').privacy, 'public');
+  });
+
+  it('requires locked to be a boolean', async () => {
+    const { status } = await lock('open-room', 'yes');
+    assert.equal(status, 400);
+  });
+
+  it('passes through a 404 for a room Daily does not know', async () => {
+    const { status } = await lock('missing-room', true);
+    assert.equal(status, 404);
+    assert.equal((await api.request('GET', '/rooms/missing-room/lock')).body.locked, false);
+  });
+
+  it('rejects invalid room ids', async () => {
+    const { status } = await api.request('GET', '/rooms/__proto__/lock');
+    assert.equal(status, 400);
+  });
+});
+
+describe('/rooms/:id/lock without a host passcode', () => {
+  it('refuses to change locks', async () => {
+    const api = await serve(createModerationRouter({
+      daily: null,
+      store: tempStore(),
+      settings: { hostPasscode: '' },
+    }));
+    try {
+      const { status, body } = await api.request('PUT', '/rooms/demo/lock', { locked: true, passcode: '' });
+      assert.equal(status, 403);
+      assert.equal(body.error, 'Room locks are disabled; set HOST_PASSCODE on the server');
+    } finally {
+      await api.close();
+    }
+  });
+});
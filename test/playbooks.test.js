@@ -0,0 +1,109 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const { createPlaybooksRouter } = require('../routes/playbooks');
+const { createPlaybookLibrary } = require('../lib/playbooks');
+const { serve, tempDir, tempStore } = require('./helpers');
+
+const HOST = { 'X-Host-Passcode': 'open-sesame' };
+
+function playbookDir() {
+  const dir = tempDir();
+  fs.writeFileSync(path.join(dir, 'default.json'), JSON.stringify({
+    name: 'Intro demo',
+    products: [{ name: 'Meetings', tiers: [{ name: 'Team', price: '$35' }] }],
+    objections: [{ objection: 'Too expensive', response: 'Compare it with travel costs.' }],
+  }));
+  fs.writeFileSync(path.join(dir, 'default.md'), 'Open with the agenda.\n');
+  fs.writeFileSync(path.join(dir, 'enterprise.json'), JSON.stringify({ name: 'Enterprise evaluation' }));
+  return dir;
+}
+
+describe('playbooks', () => {
+  let api;
+  before(async () => {
+    api = await serve(createPlaybooksRouter({
+      library: createPlaybookLibrary(playbookDir()),
+      store: tempStore(),
+      settings: { defaultId: 'default', hostPasscode: 'open-sesame' },
+    }));
+  });
+  after(() => api.close());
+
+  it('lists the playbooks and the default', async () => {
+    const { status, body } = await api.request('GET', '/playbooks', undefined, HOST);
+    assert.equal(status, 200);
+    assert.equal(body.defaultId, 'default');
+    assert.deepEqual(body.playbooks.map((p) => p.id).sort(), ['default', 'enterprise']);
+  });
+
+  it('returns a playbook with its notes and agent context', async () => {
+    const { status, body } = await api.request('GET', '/playbooks/default', undefined, HOST);
+    assert.equal(status, 200);
+    assert.equal(body.name, 'Intro demo');
+    assert.equal(body.notes, 'Open with the agenda.');
+    assert.match(body.agentContext, /"Too expensive": Compare it with travel costs\./);
+
+    const missing = await api.request('GET', '/playbooks/nope', undefined, HOST);
+    assert.equal(missing.status, 404);
+  });
+
+  it('gives rooms the default until a host picks another', async () => {
+    const first = await api.request('GET', '/rooms/demo/playbook', undefined, HOST);
+    assert.equal(first.status, 200);
+    assert.equal(first.body.playbookId, 'default');
+
+    const put = await api.request('PUT', '/rooms/demo/playbook', { playbookId: 'enterprise' }, HOST);
+    assert.equal(put.status, 200);
+    assert.equal(put.body.playbook.name, 'Enterprise evaluation');
+
+    const { body } = await api.request('GET', '/rooms/demo/playbook', undefined, HOST);
+    assert.equal(body.playbookId, 'enterprise');
+  });
+
+  it('rejects an unknown playbook', async () => {
+    const { status, body } = await api.request('PUT', '/rooms/demo/playbook', { playbookId: 'nope' }, HOST);
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Unknown playbookId');
+  });
+
+  it('rejects an invalid room id', async () => {
+    const { status } = await api.request('GET', '/rooms/bad%20room/playbook', undefined, HOST);
+    assert.equal(status, 400);
+  });
+
+  it('only answers hosts', async () => {
+    for (const headers of [{}, { 'X-Host-Passcode': 'guess' }]) {
+      for (const [method, pathname, body] of [
+        ['GET', '/playbooks'],
+        ['GET', '/playbooks/default'],
+        ['GET', '/rooms/demo/playbook'],
+        ['PUT', '/rooms/demo/playbook', { playbookId: 'default' }],
+      ]) {
+        const res = await api.request(method, pathname, body, headers);
+        assert.equal(res.status, 403, `${method} ${pathname}`);
+        assert.equal(res.body.error, 'Invalid host passcode');
+      }
+    }
+    const { body } = await api.request('GET', '/rooms/demo/playbook', undefined, HOST);
+    assert.equal(body.playbookId, 'enterprise');
+  });
+});
+
+describe('playbooks without a host passcode', () => {
+  it('are disabled', async () => {
+    const api = await serve(createPlaybooksRouter({
+      library: createPlaybookLibrary(playbookDir()),
+      store: tempStore(),
+      settings: { defaultId: 'default', hostPasscode: '' },
+    }));
+    try {
+      const { status, body } = await api.request('GET', '/playbooks', undefined, { 'X-Host-Passcode': '' });
+      assert.equal(status, 403);
+      assert.equal(body.error, 'Playbook access is disabled; set HOST_PASSCODE on the server');
+    } finally {
+      await api.close();
+    }
+  });
+});
@@ -0,0 +1,132 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after, mock } = require('node:test');
+const { createRoomsRouter } = require('../routes/rooms');
+const { createStubDailyClient, createMockState } = require('../mock/daily-api');
+const { DailyApiError } = require('../lib/daily-api');
+const { serve } = require('./helpers');
+
+const settings = { prefix: 'demo', ttlSeconds: 3600, hostPasscode: 'open-sesame' };
+const HOST = { 'X-Host-Passcode': 'open-sesame' };
+
+// Failed upstream calls are logged; keep the test output readable
+mock.method(console, 'error', () => {});
+
+describe('/rooms', () => {
+  let api;
+  let state;
+  before(async () => {
+    state = createMockState();
+    api = await serve(createRoomsRouter({ daily: createStubDailyClient(state), settings }));
+  });
+  after(() => api.close());
+
+  it('creates a private demo room named after the label', async () => {
+    const { status, body } = await api.request('POST', '/rooms', {
+      label: 'ACME intro call!',
+      chat: true,
+      maxParticipants: '4',
+      recording: 'cloud',
+    }, HOST);
+    assert.equal(status, 201);
+    assert.match(body.name, /^demo-acme-intro-call-[a-f0-9]{6}$/);
+    assert.equal(body.chat, true);
+    assert.equal(body.knocking, false);
+    assert.equal(body.maxParticipants, 4);
+    assert.equal(body.recording, 'cloud');
+    assert.equal(state.listRooms().find((r) => r.name === body.name).privacy, 'private');
+  });
+
+  it('clamps the lifetime and ignores unknown recording modes', async () => {
+    const startedAt = Date.now();
+    const { body } = await api.request('POST', '/rooms', { expiresIn: 1, recording: 'raw-tracks' }, HOST);
+    assert.ok(body.expiresAt >= startedAt + 59 * 1000 && body.expiresAt <= Date.now() + 61 * 1000);
+    assert.equal(body.recording, 'off');
+  });
+
+  it('lists only demo rooms', async () => {
+    state.createRoom({ name: 'someone-elses-room' });
+    const { status, body } = await api.request('GET', '/rooms');
+    assert.equal(status, 200);
+    assert.ok(body.rooms.length >= 2);
+    assert.ok(body.rooms.every((room) => room.name.startsWith('demo-')));
+  });
+
+  it('deletes a demo room', async () => {
+    const { body: room } = await api.request('POST', '/rooms', { label: 'doomed' }, HOST);
+    const { status, body } = await api.request('DELETE', `/rooms/${room.name}`, undefined, HOST);
+    assert.equal(status, 200);
+    assert.deepEqual(body, { deleted: true, name: room.name });
+    assert.ok(!state.listRooms().some((r) => r.name === room.name));
+  });
+
+  it('refuses to delete rooms it did not create', async () => {
+    const { status } = await api.request('DELETE', '/rooms/someone-elses-room', undefined, HOST);
+    assert.equal(status, 403);
+    assert.ok(state.listRooms().some((r) => r.name === 'someone-elses-room'));
+  });
+
+  it('passes through a 404 for a demo room that is already gone', async () => {
+    const { status, body } = await api.request('DELETE', '/rooms/demo-missing', undefined, HOST);
+    assert.equal(status, 404);
+    assert.equal(body.error, 'room demo-missing not found');
+  });
+
+  it('only lets hosts create and delete rooms', async () => {
+    const { body: room } = await api.request('POST', '/rooms', { label: 'kept' }, HOST);
+    for (const headers of [{}, { 'X-Host-Passcode': 'guess' }]) {
+      const created = await api.request('POST', '/rooms', { label: 'sneaky' }, headers);
+      assert.equal(created.status, 403);
+      assert.equal(created.body.error, 'Invalid host passcode');
+
+      const deleted = await api.request('DELETE', `/rooms/${room.name}`, undefined, headers);
+      assert.equal(deleted.status, 403);
+    }
+    assert.ok(state.listRooms().some((r) => r.name === room.name));
+    assert.ok(!state.listRooms().some((r) => r.name.startsWith('demo-sneaky-')));
+  });
+});
+
+describe('/rooms without a host passcode', () => {
+  let api;
+  before(async () => {
+    api = await serve(createRoomsRouter({
+      daily: createStubDailyClient(),
+      settings: { ...settings, hostPasscode: '' },
+    }));
+  });
+  after(() => api.close());
+
+  it('lists rooms but refuses to create or delete them', async () => {
+    assert.equal((await api.request('GET', '/rooms')).status, 200);
+
+    const { status, body } = await api.request('POST', '/rooms', {}, { 'X-Host-Passcode': '' });
+    assert.equal(status, 403);
+    assert.equal(body.error, 'Managing rooms is disabled; set HOST_PASSCODE on the server');
+    assert.equal((await api.request('DELETE', '/rooms/demo-x')).status, 403);
+  });
+});
+
+describe('/rooms when Daily fails', () => {
+  let api;
+  before(async () => {
+    const fail = async () => {
+      throw new DailyApiError('Daily is down', 503);
+    };
+    api = await serve(createRoomsRouter({
+      daily: { ...createStubDailyClient(), listRooms: fail, createRoom: fail },
+      settings,
+    }));
+  });
+  after(() => api.close());
+
+  it('answers 502 for listing', async () => {
+    const { status, body } = await api.request('GET', '/rooms');
+    assert.equal(status, 502);
+    assert.equal(body.error, 'Daily is down');
+  });
+
+  it('answers 502 for creating', async () => {
+    const { status } = await api.request('POST', '/rooms', { label: 'x' }, HOST);
+    assert.equal(status, 502);
+  });
+});
@@ -0,0 +1,92 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after } = require('node:test');
+const { createScorecardsRouter } = require('../routes/scorecards');
+const { serve, tempStore } = require('./helpers');
+
+const HOST = { 'X-Host-Passcode': 'open-sesame' };
+
+describe('/rooms/:id/scorecard', () => {
+  let api;
+  before(async () => {
+    api = await serve(createScorecardsRouter({ store: tempStore(), settings: { hostPasscode: 'open-sesame' } }));
+  });
+  after(() => api.close());
+
+  it('starts empty with BANT', async () => {
+    const { status, body } = await api.request('GET', '/rooms/fresh/scorecard', undefined, HOST);
+    assert.equal(status, 200);
+    assert.deepEqual(body, { framework: 'bant', fields: {}, updatedAt: null });
+  });
+
+  it('merges field updates', async () => {
+    await api.request('PUT', '/rooms/merge/scorecard', {
+      fields: { budget: { value: '$10k', source: 'agent', updatedAt: 1000 } },
+    }, HOST);
+    const { status, body } = await api.request('PUT', '/rooms/merge/scorecard', {
+      framework: 'meddic',
+      fields: { champion: { value: 'Sam', by: 'Pat', updatedAt: 2000 } },
+    }, HOST);
+    assert.equal(status, 200);
+    assert.equal(body.framework, 'meddic');
+    assert.deepEqual(body.fields.budget, { value: '$10k', source: 'agent', by: null, updatedAt: 1000 });
+    assert.deepEqual(body.fields.champion, { value: 'Sam', source: 'rep', by: 'Pat', updatedAt: 2000 });
+
+    const saved = await api.request('GET', '/rooms/merge/scorecard', undefined, HOST);
+    assert.deepEqual(saved.body.fields, body.fields);
+  });
+
+  it('ignores an update older than the stored field', async () => {
+    await api.request('PUT', '/rooms/order/scorecard', { fields: { need: { value: 'new', updatedAt: 2000 } } }, HOST);
+    const { body } = await api.request('PUT', '/rooms/order/scorecard', { fields: { need: { value: 'old', updatedAt: 1000 } } }, HOST);
+    assert.equal(body.fields.need.value, 'new');
+  });
+
+  it('skips bad field names and stops adding fields at the cap', async () => {
+    const fields = { '1bad': { value: 'x' }, 'bad-name': { value: 'x' }, ok: 'not an object' };
+    for (let i = 0; i < 60; i++) fields[`f${i}`] = { value: String(i), updatedAt: 1 };
+    const { body } = await api.request('PUT', '/rooms/cap/scorecard', { fields }, HOST);
+    assert.equal(Object.keys(body.fields).length, 50);
+    assert.ok(!('1bad' in body.fields) && !('bad-name' in body.fields) && !('ok' in body.fields));
+  });
+
+  it('rejects an unknown framework or non-object fields', async () => {
+    const framework = await api.request('PUT', '/rooms/bad/scorecard', { framework: 'spin' }, HOST);
+    assert.equal(framework.status, 400);
+    assert.equal(framework.body.error, 'framework must be one of bant, meddic');
+
+    const fields = await api.request('PUT', '/rooms/bad/scorecard', { fields: ['budget'] }, HOST);
+    assert.equal(fields.status, 400);
+    assert.equal(fields.body.error, 'fields must be an object');
+  });
+
+  it('rejects an invalid room id', async () => {
+    const { status } = await api.request('GET', '/rooms/bad%20room/scorecard', undefined, HOST);
+    assert.equal(status, 400);
+  });
+
+  it('only answers hosts', async () => {
+    for (const headers of [{}, { 'X-Host-Passcode': 'guess' }]) {
+      const read = await api.request('GET', '/rooms/merge/scorecard', undefined, headers);
+      assert.equal(read.status, 403);
+      assert.equal(read.body.error, 'Invalid host passcode');
+
+      const write = await api.request('PUT', '/rooms/merge/scorecard', { fields: { budget: { value: 'none' } } }, headers);
+      assert.equal(write.status, 403);
+    }
+    const { body } = await api.request('GET', '/rooms/merge/scorecard', undefined, HOST);
+    assert.equal(body.fields.budget.value, '$10k');
+  });
+});
+
+describe('/rooms/:id/scorecard without a host passcode', () => {
+  it('is disabled', async () => {
+    const api = await serve(createScorecardsRouter({ store: tempStore(), settings: { hostPasscode: '' } }));
+    try {
+      const { status, body } = await api.request('GET', '/rooms/demo/scorecard', undefined, { 'X-Host-Passcode': '' });
+      assert.equal(status, 403);
+      assert.equal(body.error, 'The lead scorecard is disabled; set HOST_PASSCODE on the server');
+    } finally {
+      await api.close();
+    }
+  });
+});
@@ -0,0 +1,167 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after, mock } = require('node:test');
+const { createTokenRouter } = require('../routes/token');
+const { createStubDailyClient, createMockState } = require('../mock/daily-api');
+const { DailyApiError } = require('../lib/daily-api');
+const { serve, tokenClaims } = require('./helpers');
+
+const DOMAIN = 'acme.daily.co';
+const ROOM_URL = `https://${DOMAIN}/demo`;
+
+const settings = (overrides = {}) => ({
+  roomUrl: ROOM_URL,
+  domain: DOMAIN,
+  ttlSeconds: 3600,
+  hostPasscode: 'open-sesame',
+  ...overrides,
+});
+
+const stubDaily = () => createStubDailyClient(createMockState({ domain: `https://${DOMAIN}` }));
+
+// Failed upstream calls are logged; keep the test output readable
+mock.method(console, 'error', () => {});
+
+describe('POST /token', () => {
+  let api;
+  before(async () => {
+    api = await serve(createTokenRouter({
+      daily: stubDaily(),
+      locks: { get: (name) => name === 'locked' },
+      settings: settings(),
+    }));
+  });
+  after(() => api.close());
+
+  it('mints a guest token for the default room', async () => {
+    const { status, body } = await api.request('POST', '/token', { userName: 'Pat' });
+    assert.equal(status, 200);
+    assert.equal(body.role, 'guest');
+    assert.equal(body.roomName, 'demo');
+    const claims = tokenClaims(body.token);
+    assert.equal(claims.room_name, 'demo');
+    assert.equal(claims.user_name, 'Pat');
+    assert.equal(claims.is_owner, false);
+    assert.equal(claims.user_id, body.userId);
+  });
+
+  it('keeps the user id of a valid client id and replaces an invalid one', async () => {
+    const clientId = 'a'.repeat(32);
+    const kept = await api.request('POST', '/token', { clientId });
+    assert.equal(kept.body.userId, `u-${clientId}`);
+
+    const replaced = await api.request('POST', '/token', { clientId: 'sales-agent' });
+    assert.match(replaced.body.userId, /^u-[a-f0-9]{32}$/);
+  });
+
+  it('mints an owner token with the host passcode', async () => {
+    const { status, body } = await api.request('POST', '/token', { role: 'owner', passcode: 'open-sesame' });
+    assert.equal(status, 200);
+    assert.equal(body.role, 'owner');
+    assert.equal(tokenClaims(body.token).is_owner, true);
+  });
+
+  it('refuses an owner token with a wrong or missing passcode', async () => {
+    for (const passcode of ['nope', undefined]) {
+      const { status, body } = await api.request('POST', '/token', { role: 'owner', passcode });
+      assert.equal(status, 403);
+      assert.equal(body.error, 'Invalid host passcode');
+    }
+  });
+
+  it('caps guest tokens at the default lifetime but lets hosts ask for longer', async () => {
+    const day = 24 * 60 * 60;
+    const guest = await api.request('POST', '/token', { expiresIn: day });
+    assert.ok(tokenClaims(guest.body.token).exp <= Math.floor(Date.now() / 1000) + 3600);
+
+    const host = await api.request('POST', '/token', { expiresIn: day, role: 'owner', passcode: 'open-sesame' });
+    assert.ok(tokenClaims(host.body.token).exp > Math.floor(Date.now() / 1000) + day - 60);
+
+    const short = await api.request('POST', '/token', { expiresIn: 120 });
+    assert.ok(tokenClaims(short.body.token).exp <= Math.floor(Date.now() / 1000) + 120);
+  });
+
+  it('treats an unknown role as a guest', async () => {
+    const { body } = await api.request('POST', '/token', { role: 'admin' });
+    assert.equal(body.role, 'guest');
+    assert.equal(tokenClaims(body.token).is_owner, false);
+  });
+
+  it('refuses guests of a locked room but not its hosts', async () => {
+    const guest = await api.request('POST', '/token', { roomUrl: `https://${DOMAIN}/locked` });
+    assert.equal(guest.status, 403);
+    assert.equal(guest.body.locked, true);
+
+    const host = await api.request('POST', '/token', {
+      roomUrl: `https://${DOMAIN}/locked`,
+      role: 'owner',
+      passcode: 'open-sesame',
+    });
+    assert.equal(host.status, 200);
+  });
+
+  it('rejects a missing or unparseable room URL', async () => {
+    const { status, body } = await api.request('POST', '/token', { roomUrl: 'not a url' });
+    assert.equal(status, 400);
+    assert.equal(body.error, 'A valid roomUrl is required');
+  });
+
+  it('rejects rooms on another Daily domain', async () => {
+    const { status, body } = await api.request('POST', '/token', { roomUrl: 'https://evil.daily.co/demo' });
+    assert.equal(status, 400);
+    assert.equal(body.error, `roomUrl must be a room on ${DOMAIN}`);
+  });
+});
+
+describe('POST /token without a host passcode', () => {
+  let api;
+  before(async () => {
+    api = await serve(createTokenRouter({ daily: stubDaily(), settings: settings({ hostPasscode: '' }) }));
+  });
+  after(() => api.close());
+
+  it('refuses every owner token', async () => {
+    const { status, body } = await api.request('POST', '/token', { role: 'owner', passcode: '' });
+    assert.equal(status, 403);
+    assert.equal(body.error, 'Host tokens are disabled; set HOST_PASSCODE on the server');
+  });
+
+  it('still mints guest tokens', async () => {
+    const { status } = await api.request('POST', '/token', {});
+    assert.equal(status, 200);
+  });
+});
+
+describe('POST /token without a Daily domain', () => {
+  it('answers 500', async () => {
+    const api = await serve(createTokenRouter({ daily: stubDaily(), settings: settings({ domain: '' }) }));
+    try {
+      const { status, body } = await api.request('POST', '/token', {});
+      assert.equal(status, 500);
+      assert.equal(body.error, 'DAILY_DOMAIN is not configured');
+    } finally {
+      await api.close();
+    }
+  });
+});
+
+describe('POST /token when Daily fails', () => {
+  const failingDaily = (status) => ({
+    ...stubDaily(),
+    async createMeetingToken() {
+      throw new DailyApiError(`upstream ${status}`, status);
+    },
+  });
+
+  for (const [upstream, expected] of [[400, 400], [401, 401], [500, 502], [undefined, 502]]) {
+    it(`maps a ${upstream || 'network'} error to ${expected}`, async () => {
+      const api = await serve(createTokenRouter({ daily: failingDaily(upstream), settings: settings() }));
+      try {
+        const { status, body } = await api.request('POST', '/token', {});
+        assert.equal(status, expected);
+        assert.equal(body.error, `upstream ${upstream}`);
+      } finally {
+        await api.close();
+      }
+    });
+  }
+});